@@ -58,6 +58,9 @@ export function handle_action(action, catchup = false) {
 
 			this.interpret_discard(this, action, card);
 			this.last_actions[playerIndex] = Object.assign(action, { card });
+
+			// Clear the list of ignored cards
+			this.next_ignore = [];
 			break;
 		}
 		case 'draw': {
@@ -97,7 +100,7 @@ export function handle_action(action, catchup = false) {
 							this.notes[order].full += `t${state.turn_count}: ${note}`;
 
 							if (this.in_progress)
-								Utils.sendCmd('note', { tableID: this.tableID, order, note: this.notes[order].full });
+								this.sendCmd('note', { tableID: this.tableID, order, note: this.notes[order].full });
 						}
 					}
 				}
@@ -107,7 +110,10 @@ export function handle_action(action, catchup = false) {
 
 			if (currentPlayerIndex === state.ourPlayerIndex && !catchup) {
 				if (this.in_progress) {
-					setTimeout(() => Utils.sendCmd('action', this.take_action(this)), state.options.speedrun ? 0 : 2000);
+					setTimeout(() => {
+						Utils.globalModify({ game: this });
+						this.sendCmd('action', this.take_action(this));
+					}, this.actionDelay());
 				}
 				// Replaying a turn
 				else {
@@ -3,6 +3,7 @@ import { Hand } from './Hand.js';
 import { Player } from './Player.js';
 
 import { handle_action } from '../action-handler.js';
+import { HURRY_TIME } from '../constants.js';
 import logger from '../tools/logger.js';
 import * as Utils from '../tools/util.js';
 import { logPerformAction } from '../tools/log.js';
@@ -18,9 +19,32 @@ import { logPerformAction } from '../tools/log.js';
  * @typedef {import('../types.js').TurnAction} TurnAction
  * @typedef {import('../types.js').PlayAction} PlayAction
  * @typedef {import('../types.js').PerformAction} PerformAction
+ * @typedef {import('../variants.js').Variant} Variant
+ * @typedef {import('../types-live.js').TableOptions} TableOptions
+ *
+ * @typedef Capabilities
+ * @property {number[]} numPlayers 										The numbers of players the conventions can play with.
+ * @property {Record<string, RegExp>} partialSuits 						Suits the conventions only partly handle, keyed by description.
+ * @property {Partial<Record<keyof Variant, string>>} partialRules 		Variant rules the conventions only partly handle, with descriptions.
+ * @property {Partial<Record<keyof TableOptions, string>>} unsupportedOptions 	Table options the conventions can't handle, with descriptions.
+ *
+ * @typedef Support
+ * @property {string[]} unsupported 	Descriptions of everything the conventions can't handle.
+ * @property {string[]} partial 		Descriptions of everything the conventions only partly handle.
  */
 
 export class Game {
+	/**
+	 * What the conventions can handle, which is checked when joining a table.
+	 * @type {Capabilities}
+	 */
+	static capabilities = {
+		numPlayers: [2, 3, 4, 5, 6],
+		partialSuits: {},
+		partialRules: {},
+		unsupportedOptions: { detrimentalCharacters: 'Detrimental Characters' }
+	};
+
 	convention_name = '';
 	in_progress = false;
 
@@ -32,13 +56,14 @@ export class Game {
 	/** @type {Player} */
 	common;
 
-	last_actions = /** @type {(Action & {card?: ActualCard, lock?: boolean})[]} */ ([]);
+	last_actions = /** @type {(Action & {card?: ActualCard, lock?: boolean, anxiety?: boolean})[]} */ ([]);
 	handHistory = /** @type {Hand[]} */ ([]);
 
 	notes = /** @type {{turn: number, last: string, full: string}[]} */ ([]);
 
 	rewinds = 0;
 	rewindDepth = 0;
+	rewindTurns = /** @type {number[]} */ ([]);	// The turns of the actions that were rewound to
 	copyDepth = 0;
 
 	/**
@@ -54,6 +79,53 @@ export class Game {
 
 	handle_action = handle_action;
 
+	/**
+	 * Sends a command to the server for the table this game is being played at (does nothing outside of live games).
+	 * @type {(command: string, arg: any) => void}
+	 */
+	sendCmd = (_command, _arg) => {};
+
+	/** How long to wait before sending an action (in ms), unless the game is a speedrun or time is short. */
+	moveDelay = 2000;
+
+	/**
+	 * Our clock in a timed game: the time left (in ms) when it was last updated, and whether it was counting down.
+	 * @type {{ remaining: number, updated: number, running: boolean }}
+	 */
+	clock;
+
+	/**
+	 * Returns what the conventions can't fully handle in a game with the given number of players, variant and options.
+	 * @param {number} numPlayers
+	 * @param {Variant} variant
+	 * @param {TableOptions} options
+	 * @returns {Support}
+	 */
+	static checkSupport(numPlayers, variant, options) {
+		const { partialSuits, partialRules, unsupportedOptions } = this.capabilities;
+		const unsupported = [], partial = [];
+
+		if (!this.capabilities.numPlayers.includes(numPlayers))
+			unsupported.push(`${numPlayers}-player games`);
+
+		for (const [option, description] of Object.entries(unsupportedOptions)) {
+			if (options[option])
+				unsupported.push(description);
+		}
+
+		for (const [description, regex] of Object.entries(partialSuits)) {
+			if (variant.suits.some(suit => regex.test(suit)))
+				partial.push(description);
+		}
+
+		for (const [rule, description] of Object.entries(partialRules)) {
+			if (variant[rule])
+				partial.push(description);
+		}
+
+		return { unsupported, partial };
+	}
+
 	/**
 	 * @param {number} tableID
 	 * @param {State} state
@@ -71,6 +143,10 @@ export class Game {
 			this.players[i] = new Player(i, all_possible, all_possible, Array.from({ length: state.variant.suits.length }, _ => 0));
 
 		this.common = new Player(-1, all_possible, all_possible, Array.from({ length: state.variant.suits.length }, _ => 0));
+
+		// Until the server tells us otherwise, we have the starting time
+		if (state.options.timed)
+			this.updateClock((state.options.timeBase ?? 0) * 1000, false);
 	}
 
 	get me() {
@@ -88,9 +164,47 @@ export class Game {
 		const newGame = new Game(this.tableID, this.state.createBlank(), this.in_progress);
 		newGame.notes = this.notes;
 		newGame.rewinds = this.rewinds;
+		newGame.rewindTurns = this.rewindTurns;
+		newGame.sendCmd = this.sendCmd;
+		newGame.moveDelay = this.moveDelay;
+		newGame.clock = this.clock;
 		return newGame;
 	}
 
+	/**
+	 * Updates our clock in a timed game.
+	 * @param {number} remaining 	The time left (in ms).
+	 * @param {boolean} running 	Whether the clock is counting down (i.e. it is our turn).
+	 */
+	updateClock(remaining, running) {
+		this.clock = { remaining, updated: Date.now(), running };
+	}
+
+	/**
+	 * Returns the time left on our clock (in ms), or Infinity if the game isn't timed.
+	 */
+	timeLeft() {
+		if (this.clock === undefined)
+			return Infinity;
+
+		const { remaining, updated, running } = this.clock;
+		return running ? remaining - (Date.now() - updated) : remaining;
+	}
+
+	/**
+	 * Whether we are short on time, and should skip expensive searches in favour of acting quickly.
+	 */
+	get hurried() {
+		return this.timeLeft() < HURRY_TIME;
+	}
+
+	/**
+	 * Returns how long to wait before sending an action (in ms).
+	 */
+	actionDelay() {
+		return (this.state.options.speedrun || this.hurried) ? 0 : this.moveDelay;
+	}
+
 	shallowCopy() {
 		const newGame = new Game(this.tableID, this.state, this.in_progress);
 		Object.assign(newGame, this);
@@ -191,6 +305,7 @@ export class Game {
 			return false;
 		}
 		this.rewindDepth++;
+		this.rewindTurns.push(actionList.slice(0, action_index).filter(action => action.type === 'turn').length + 1);
 
 		const pivotal_action = /** @type {ClueAction} */ (actionList[action_index]);
 
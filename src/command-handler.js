@@ -6,337 +6,805 @@ import HGroup from './conventions/h-group.js';
 import PlayfulSieve from './conventions/playful-sieve.js';
 import { BOT_VERSION, MAX_H_LEVEL } from './constants.js';
 import { State } from './basics/State.js';
+import { MAX_DELAY, SETTING_OPTIONS, SettingsStore } from './tools/settings-store.js';
+import { explainCard, explainHand, explainPlan, gameSummary } from './tools/explain.js';
 
 /**
  * @typedef {import('./basics/Game.js').Game} Game
+ * @typedef {import('./basics/Game.js').Support} Support
+ * @typedef {import('./variants.js').Variant} Variant
  * @typedef {import('./types.js').Action} Action
  * @typedef {import('./types-live.js').ChatMessage} ChatMessage
+ * @typedef {import('./types-live.js').ClockData} ClockData
  * @typedef {import('./types-live.js').InitData} InitData
  * @typedef {import('./types-live.js').Self} Self
  * @typedef {import('./types-live.js').Table} Table
+ * @typedef {import('./types-live.js').TableOptions} TableOptions
+ * @typedef {import('./tools/settings-store.js').Settings} Settings
+ * @typedef {import('./tools/settings-store.js').ResolvedSettings} ResolvedSettings
  */
 
 const conventions = { HGroup, PlayfulSieve };
-const settings = {
-	convention: 'HGroup',
-	level: 1
-};
 
-/** @type {Record<number, Table>} */
-const tables = {};
+/**
+ * The connection of one bot account to the server, with everything it knows about the tables and games it is in.
+ * Several sessions can run in the same process, one for each account.
+ */
+export class Session {
+	/**
+	 * The websocket to the server, which is replaced when reconnecting.
+	 * @type {{send: (data: string) => void, readyState: number, OPEN: number}}
+	 */
+	ws;
 
-/** @type {Self} */
-let self;
+	/** @type {Settings} 	The settings used for tables when neither the table nor its users have chosen any. */
+	settings = {
+		convention: 'HGroup',
+		level: 1,
+		summary: 'chat',
+		unsupported: 'warn',
+		delay: 2000
+	};
 
-let game = /** @type {Game} */ ({});
+	/** The saved settings of tables and users, which may be shared with other sessions. */
+	store = new SettingsStore();
 
-let gameStarted = false;
+	/** @type {Record<number, Table>} */
+	tables = {};
 
-/** @type {string} 	The user who last sent us a PM. */
-let last_sender;
+	/** @type {Self} */
+	self;
 
-export const handle = {
 	/**
-	 * @param {ChatMessage} data
-	 * 
-	 * Received when any message in chat is sent.
+	 * The games at every table we are in, keyed by table ID.
+	 * Until the game is initialized, this only contains the table ID.
+	 * @type {Record<number, Game>}
 	 */
-	chat: (data) => {
-		const within_room = data.recipient === '' && data.room.startsWith('table');
+	games = {};
 
-		if (within_room) {
-			if (data.msg.startsWith('/setall'))
-				assignSettings(data, false);
-			else if (data.msg.startsWith('/leaveall'))
-				leaveRoom();
+	/** @type {Record<number, ResolvedSettings>} 	The settings for every table we are in. */
+	tableSettings = {};
 
-			return;
-		}
+	/** @type {Record<number, string>} 	The user who invited us to each table we are in. */
+	inviters = {};
 
-		// We only care about private messages to us
-		if (data.recipient !== self.username)
-			return;
+	/** @type {Record<number, Support>} 	What the conventions can't fully handle at every table we are in, as last checked. */
+	support = {};
+
+	/** @type {Set<number>} 	The tables we are in that have started a game. */
+	started = new Set();
+
+	/** @type {string} 	The user who last sent us a PM. */
+	last_sender;
 
+	/** @type {Session[]} 	All sessions running in this process (including this one). */
+	group = [this];
 
-		last_sender = data.who;
+	/** @type {string[]} */
+	cmdQueue = [];
 
-		// Invites the bot to a lobby (format: /join [password])
-		if (data.msg.startsWith('/join')) {
-			const table = Utils.maxOn(Object.values(tables).filter(table =>
-				(table.players.includes(data.who) && !table.sharedReplay) ||
-				table.spectators.some(spec => spec.name === data.who)
-			), (table) => table.id);
+	/** @type {ReturnType<typeof setTimeout>} */
+	queueTimer;
 
-			if (!table) {
-				Utils.sendPM(data.who, 'Could not join, as you are not in a room.');
+	handle = {
+		/**
+		 * @param {ChatMessage} data
+		 * 
+		 * Received when any message in chat is sent.
+		 */
+		chat: (data) => {
+			const within_room = data.recipient === '' && data.room.startsWith('table');
+
+			if (within_room) {
+				const tableID = Number(data.room.slice('table'.length));
+				const sessions = this.group.filter(session => session.games[tableID] !== undefined);
+
+				// Every bot at the table receives the message, so only the first one in this process responds for all of them
+				if (sessions[0] !== this)
+					return;
+
+				if (data.msg.startsWith('/setall')) {
+					this.assignSettings(data, false, sessions, tableID);
+				}
+				else if (data.msg.startsWith('/leaveall')) {
+					for (const session of sessions)
+						session.leaveRoom(tableID);
+				}
+				else if (/^\/(why|hand|plan)\b/.test(data.msg)) {
+					this.explain(data, tableID);
+				}
 				return;
 			}
 
-			if (table.passwordProtected) {
-				const ind = data.msg.indexOf(' ');
-				const password = ind != -1 ? data.msg.slice(ind + 1) : undefined;
+			// We only care about private messages to us
+			if (data.recipient !== this.self.username)
+				return;
+
 
-				if (password === undefined) {
-					Utils.sendPM(data.who, 'Room is password protected, please provide a password.');
+			this.last_sender = data.who;
+
+			// Invites the bot to a lobby (format: /join [password])
+			if (data.msg.startsWith('/join')) {
+				const table = Utils.maxOn(Object.values(this.tables).filter(table =>
+					(table.players.includes(data.who) && !table.sharedReplay) ||
+					table.spectators.some(spec => spec.name === data.who)
+				), (table) => table.id);
+
+				if (!table) {
+					this.sendPM(data.who, 'Could not join, as you are not in a room.');
+					return;
+				}
+
+				if (this.games[table.id] !== undefined) {
+					this.sendPM(data.who, 'Could not join, as the bot is already in your room.');
 					return;
 				}
-				Utils.sendCmd('tableJoin', { tableID: table.id, password });
+
+				this.inviters[table.id] = data.who;
+
+				if (table.passwordProtected) {
+					const ind = data.msg.indexOf(' ');
+					const password = ind != -1 ? data.msg.slice(ind + 1) : undefined;
+
+					if (password === undefined) {
+						this.sendPM(data.who, 'Room is password protected, please provide a password.');
+						return;
+					}
+					this.sendCmd('tableJoin', { tableID: table.id, password });
+					return;
+				}
+				this.sendCmd('tableJoin', { tableID: table.id });
 				return;
 			}
-			Utils.sendCmd('tableJoin', { tableID: table.id });
-			return;
-		}
-		// Readds the bot to a game (format: /rejoin)
-		if (data.msg.startsWith('/rejoin')) {
-			if (game?.tableID) {
-				Utils.sendPM(data.who, 'Could not rejoin, as the bot is already in a game.');
+			// Readds the bot to a game (format: /rejoin)
+			if (data.msg.startsWith('/rejoin')) {
+				const table = Utils.maxOn(Object.values(this.tables).filter(table =>
+					table.players.includes(this.self.username) && this.games[table.id] === undefined), (table) => table.id);
+
+				if (!table) {
+					this.sendPM(data.who, 'Could not rejoin, as the bot is not a player in any other currently open room.');
+					return;
+				}
+
+				this.sendCmd('tableReattend', { tableID: table.id });
+				return;
+			}
+			// Creates a new table (format: /create <name> <maxPlayers> <password>)
+			if (data.msg.startsWith('/create')) {
+				const parts = data.msg.split(' ');
+				this.sendCmd('tableCreate', { name: parts[1], maxPlayers: Number(parts[2]), password: parts[3] });
+				return;
+			}
+			// Displays or modifies the settings for the user's table, or for new tables if they aren't in one with the bot
+			// (format: /settings [convention = 'HGroup'] [level = 1] [summary = chat|pm|off] [unsupported = warn|refuse] [delay = <ms>])
+			if (data.msg.startsWith('/settings')) {
+				this.assignSettings(data, true, [this], this.userTable(data.who));
+				return;
+			}
+			if (data.msg.startsWith('/version')) {
+				this.sendPM(data.who, `v${BOT_VERSION}`);
 				return;
 			}
 
-			const table = Utils.maxOn(Object.values(tables).filter(table => table.players.includes(self.username)), (table) => table.id);
+			/** @type {Record<string, (tableID: number) => void>} */
+			const table_commands = {
+				// Kicks the bot from a game (format: /leave)
+				leave: (tableID) => this.leaveRoom(tableID),
+				// Starts the game (format: /start)
+				start: (tableID) => {
+					const { settings } = this.tableSettings[tableID] ?? this.resolveSettings(tableID);
+					const unsupported = this.support[tableID]?.unsupported ?? [];
+
+					if (settings.unsupported === 'refuse' && unsupported.length > 0) {
+						this.sendPM(data.who, `Could not start, as ${settings.convention} conventions don't support ${unsupported.join(', ')}.`);
+						return;
+					}
+					this.sendCmd('tableStart', { tableID });
+				},
+				// Restarts a game (format: /restart)
+				restart: (tableID) => this.sendCmd('tableRestart', { tableID, hidePregame: true }),
+				// Remakes a table (format: /remake)
+				remake: (tableID) => this.sendCmd('tableRestart', { tableID, hidePregame: false }),
+				terminate: (tableID) => this.sendCmd('tableTerminate', { tableID })
+			};
+
+			const command = Object.keys(table_commands).find(name => data.msg.startsWith(`/${name}`));
+
+			if (command !== undefined) {
+				const tableID = this.userTable(data.who);
+
+				if (tableID === undefined) {
+					this.sendPM(data.who, `Could not ${command}, as the bot is not in a room with you.`);
+					return;
+				}
 
-			if (!table) {
-				Utils.sendPM(data.who, 'Could not rejoin, as the bot is not a player in any currently open room.');
+				table_commands[command](tableID);
 				return;
 			}
 
-			Utils.sendCmd('tableReattend', { tableID: table.id });
-			return;
-		}
-		// Kicks the bot from a game (format: /leave)
-		if (data.msg.startsWith('/leave')) {
-			if (game?.tableID === undefined) {
-				Utils.sendPM(data.who, 'Could not leave, as the bot is not currently in a room.');
+			this.sendPM(data.who, 'Unrecognized command.');
+		},
+		/**
+		 * @param {ClockData} data
+		 * 
+		 * Received after every action in a timed game.
+		 */
+		clock: (data) => {
+			const { tableID, times, activePlayerIndex, timeTaken } = data;
+			const game = this.games[tableID];
+
+			if (game?.state === undefined)
+				return;
+
+			const { ourPlayerIndex } = game.state;
+			const running = activePlayerIndex === ourPlayerIndex;
+
+			game.updateClock(times[ourPlayerIndex] - (running ? timeTaken : 0), running);
+		},
+		/**
+		 * @param {{tableID: number, action: Action}} data
+		 * @param {boolean} catchup								Whether this action occurred in the past or not.
+		 * 
+		 * Received when an action is taken in one of our active games.
+		 */
+		gameAction: (data, catchup = false) => {
+			const { action, tableID } = data;
+			const game = this.games[tableID];
+
+			// Ignore actions from games that haven't been initialized yet
+			if (game?.state === undefined)
+				return;
+
+			const was_in_progress = game.in_progress;
+			game.handle_action(action, catchup);
+
+			if (action.type === 'gameOver' && was_in_progress && !catchup)
+				this.sendSummary(tableID);
+		},
+		/**
+		 * @param {{tableID: number, list: Action[]}} data
+		 * 
+		 * Received at the beginning of the game, as a list of all actions that have happened so far.
+		 */
+		gameActionList: (data) => {
+			const game = this.games[data.tableID];
+
+			if (game?.state === undefined)
 				return;
+
+			for (let i = 0; i < data.list.length - 10; i++)
+				this.handle.gameAction({ action: data.list[i], tableID: data.tableID }, true);
+
+			for (let i = data.list.length - 10; i < data.list.length - 1; i++)
+				this.handle.gameAction({ action: data.list[i], tableID: data.tableID });
+
+			this.handle.gameAction({ action: data.list.at(-1), tableID: data.tableID });
+
+			// Send "loaded" to let server know that we have "finished loading the UI"
+			this.sendCmd('loaded', { tableID: data.tableID });
+
+			// If we are going first, we need to take an action now
+			if (game.state.ourPlayerIndex === 0 && game.state.turn_count === 1) {
+				setTimeout(() => {
+					Utils.globalModify({ game });
+					this.sendCmd('action', game.take_action(game));
+				}, 3000);
 			}
+		},
+		/**
+		 * @param {{tableID: number }} data
+		 * 
+		 * Received when successfully joining a table.
+		 */
+		joined: (data) => {
+			const { tableID } = data;
+			this.games[tableID] = /** @type {Game} */ ({ tableID });
+			this.tableSettings[tableID] = this.resolveSettings(tableID, this.inviters[tableID]);
+			this.started.delete(tableID);
+		},
+		/**
+		 * @param {InitData} data
+		 * 
+		 * Received at the beginning of the game, with information about the game.
+		 */
+		init: async (data) => {
+			const { tableID, playerNames, ourPlayerIndex, options } = data;
+			const variant = await getVariant(options.variantName, { remote: true });
+
+			await getShortForms(variant, { remote: true });
+
+			const state = new State(playerNames, ourPlayerIndex, variant, options);
+			// We may not have joined the table during this session (e.g. after reconnecting)
+			this.tableSettings[tableID] ??= this.resolveSettings(tableID);
+			const { settings } = this.tableSettings[tableID];
+
+			// Initialize game state using convention set
+			const game = new conventions[/** @type {'HGroup' | 'PlayfulSieve'} */ (settings.convention)](tableID, state, true, settings.level);
+			game.sendCmd = (command, arg) => this.sendCmd(command, arg);
+			game.moveDelay = settings.delay;
+
+			this.games[tableID] = game;
+			Utils.globalModify({ game });
+
+			// We may have joined in the middle of a game, without seeing the table before it started
+			this.checkSupport(tableID, playerNames.length, variant, options);
+
+			// Ask the server for more info
+			this.sendCmd('getGameInfo2', { tableID: data.tableID });
+		},
+		/**
+		 * @param {{tableID: number}} data
+		 * 
+		 * Received when leaving a table.
+		 */
+		left: (data) => {
+			this.forgetTable(data.tableID);
+		},
+		/**
+		 * @param {Table} data
+		 * 
+		 * Received when a table updates its information.
+		 */
+		table: async (data) => {
+			this.tables[data.id] = data;
+
+			if (this.games[data.id] === undefined)
+				return;
 
-			leaveRoom();
-			return;
-		}
-		// Creates a new table (format: /create <name> <maxPlayers> <password>)
-		if (data.msg.startsWith('/create')) {
-			const parts = data.msg.split(' ');
-			Utils.sendCmd('tableCreate', { name: parts[1], maxPlayers: Number(parts[2]), password: parts[3] });
-			return;
-		}
-		// Starts the game (format: /start)
-		if (data.msg.startsWith('/start')) {
-			Utils.sendCmd('tableStart', { tableID: game.tableID });
+			// Only bots left in the replay
+			if (data.sharedReplay && data.spectators.every(({name}) => name.startsWith('will-bot')))
+				this.leaveRoom(data.id);
+			else if (!data.sharedReplay && !data.running)
+				await this.checkTable(data.id);
+		},
+		/**
+		 * @param {Table} data
+		 * 
+		 * Received when a table is removed.
+		 */
+		tableGone: (data) => {
+			delete this.tables[data.id];
+			this.store.prune(Object.keys(this.tables).map(Number));
+		},
+		/**
+		 * @param {Table[]} data
+		 * 
+		 * Received once, with a list of the current tables and their information.
+		 */
+		tableList: (data) => {
+			// Tables may have changed while we were disconnected
+			for (const id of Object.keys(this.tables))
+				delete this.tables[id];
+
+			for (const table of data)
+				this.tables[table.id] = table;
+
+			this.store.prune(Object.keys(this.tables).map(Number));
+
+			// Forget any tables we were in that were closed while we were disconnected
+			for (const tableID of Object.keys(this.games).map(Number)) {
+				if (this.tables[tableID] === undefined)
+					this.forgetTable(tableID);
+			}
+		},
+		/**
+		 * @param {{tableID: number, replay: boolean}} data
+		 * 
+		 * Received when one of our tables starts a game.
+		 */
+		tableStart: (data) => {
+			this.sendCmd('getGameInfo1', { tableID: data.tableID });
+			this.started.add(data.tableID);
+		},
+		/**
+		 * @param {{warning: string}} data
+		 * 
+		 * Received when we send an invalid command.
+		 */
+		warning: (data) => {
+			if (this.last_sender === undefined) {
+				logger.error(data.warning);
+			}
+			else {
+				this.sendPM(this.last_sender, data.warning);
+				this.last_sender = undefined;
+			}
+		},
+		/**
+		 * @param {Self} data
+		 * 
+		 * Received when we first register a websocket.
+		 */
+		welcome: (data) => {
+			this.self = data;
+
+			// Rejoin any games we were playing in (e.g. after reconnecting), which catches up through gameActionList
+			for (const tableID of data.playingAtTables)
+				this.sendCmd('tableReattend', { tableID });
+		},
+	};
+
+	/**
+	 * Handles a message from the server, if there's a registered handler function for it.
+	 * @param {string} command
+	 * @param {any} data
+	 */
+	dispatch(command, data) {
+		if (this.handle[command] === undefined)
 			return;
-		}
-		// Restarts a game (format: /restart)
-		if (data.msg.startsWith('/restart')) {
-			Utils.sendCmd('tableRestart', { tableID: game.tableID, hidePregame: true });
+
+		// Logging uses the global game, so make sure it refers to the one at this table
+		const game = this.games[data?.tableID];
+
+		if (game?.state !== undefined)
+			Utils.globalModify({ game });
+
+		this.handle[command](data);
+	}
+
+	/**
+	 * Answers a question about the game at a table (format: /why <order>, /hand <player> or /plan).
+	 *
+	 * Explanations of cards only use common knowledge, so they are sent to the table.
+	 * Hands and plans can reveal cards that someone at the table can't see, so they are sent privately to whoever asked.
+	 * @param {ChatMessage} data
+	 * @param {number} tableID
+	 */
+	explain(data, tableID) {
+		const parts = data.msg.split(' ');
+		const game = this.games[tableID];
+
+		if (game?.state === undefined) {
+			this.sendChat(tableID, 'The game has not started yet.');
 			return;
 		}
-		// Remakes a table (format: /remake)
-		if (data.msg.startsWith('/remake')) {
-			Utils.sendCmd('tableRestart', { tableID: game.tableID, hidePregame: false });
-			return;
+
+		Utils.globalModify({ game });
+
+		switch (parts[0]) {
+			case '/why': {
+				const order = Number(parts[1]);
+
+				if (parts.length !== 2 || !Number.isInteger(order)) {
+					this.sendChat(tableID, 'Format is /why <order>. For example, try \'/why 0\'.');
+					return;
+				}
+
+				this.sendChat(tableID, explainCard(game, order));
+				break;
+			}
+			case '/hand': {
+				const playerIndex = game.state.playerNames.indexOf(parts[1]);
+
+				if (parts.length !== 2 || playerIndex === -1) {
+					this.sendChat(tableID, `Format is /hand <player>, where the player is one of ${game.state.playerNames.join(', ')}.`);
+					return;
+				}
+
+				for (const msg of explainHand(game, playerIndex, data.who))
+					this.sendPM(data.who, msg);
+				break;
+			}
+			case '/plan':
+				try {
+					this.sendPM(data.who, explainPlan(game, data.who));
+				}
+				catch (err) {
+					logger.error('Failed to determine plan:', err);
+					this.sendPM(data.who, 'Unable to determine a plan right now.');
+				}
+				break;
 		}
-		// Displays or modifies the current settings (format: /settings [convention = 'HGroup'] [level = 1])
-		if (data.msg.startsWith('/settings')) {
-			assignSettings(data, true);
+	}
+
+	/**
+	 * Sends a summary of the game that just ended at a table, either to the table or to the user who invited us.
+	 * @param {number} tableID
+	 */
+	sendSummary(tableID) {
+		const { summary } = (this.tableSettings[tableID] ?? this.resolveSettings(tableID)).settings;
+		const inviter = this.inviters[tableID];
+
+		if (summary === 'off')
 			return;
-		}
-		if (data.msg.startsWith('/terminate')) {
-			Utils.sendCmd('tableTerminate', { tableID: game.tableID });
+
+		const msg = gameSummary(this.games[tableID]);
+
+		if (summary === 'pm' && inviter !== undefined)
+			this.sendPM(inviter, msg);
+		else
+			this.sendChat(tableID, msg);
+	}
+
+	/**
+	 * Checks whether the conventions at a table can handle its players, variant and options.
+	 * @param {number} tableID
+	 */
+	async checkTable(tableID) {
+		const table = this.tables[tableID];
+
+		if (table === undefined)
 			return;
+
+		/** @type {Variant} */
+		let variant;
+
+		try {
+			variant = await getVariant(table.options.variantName ?? table.variant, { remote: true });
 		}
-		if (data.msg.startsWith('/version')) {
-			Utils.sendPM(data.who, `v${BOT_VERSION}`);
+		catch (err) {
+			logger.warn(err.message);
 			return;
 		}
 
-		Utils.sendPM(data.who, 'Unrecognized command.');
-	},
-	/**
-	 * @param {{tableID: number, action: Action}} data
-	 * @param {boolean} catchup								Whether this action occurred in the past or not.
-	 * 
-	 * Received when an action is taken in the current active game.
-	 */
-	gameAction: (data, catchup = false) => {
-		const { action } = data;
-		game.handle_action(action, catchup);
-	},
+		// We may have left while looking up the variant
+		if (this.games[tableID] !== undefined)
+			this.checkSupport(tableID, table.players.length, variant, table.options);
+	}
+
 	/**
-	 * @param {{tableID: number, list: Action[]}} data
-	 * 
-	 * Received at the beginning of the game, as a list of all actions that have happened so far.
+	 * Checks whether the conventions at a table can handle a game with the given players, variant and options,
+	 * warning the table if anything has changed since the last check.
+	 * @param {number} tableID
+	 * @param {number} numPlayers
+	 * @param {Variant} variant
+	 * @param {TableOptions} options
 	 */
-	gameActionList: (data) => {
-		for (let i = 0; i < data.list.length - 10; i++)
-			handle.gameAction({ action: data.list[i], tableID: data.tableID }, true);
+	checkSupport(tableID, numPlayers, variant, options) {
+		this.tableSettings[tableID] ??= this.resolveSettings(tableID);
+		const { convention, unsupported: refuse } = this.tableSettings[tableID].settings;
 
-		for (let i = data.list.length - 10; i < data.list.length - 1; i++)
-			handle.gameAction({ action: data.list[i], tableID: data.tableID });
+		const previous = this.support[tableID];
+		const support = conventions[convention].checkSupport(numPlayers, variant, options);
+		this.support[tableID] = support;
 
-		handle.gameAction({ action: data.list.at(-1), tableID: data.tableID });
+		if (JSON.stringify(support) === JSON.stringify(previous ?? { unsupported: [], partial: [] }))
+			return;
 
-		// Send "loaded" to let server know that we have "finished loading the UI"
-		Utils.sendCmd('loaded', { tableID: data.tableID });
+		// Other bots at the table in this process with the same conventions would give the same warnings
+		const sessions = this.group.filter(session => session.games[tableID] !== undefined);
 
-		// If we are going first, we need to take an action now
-		if (game.state.ourPlayerIndex === 0 && game.state.turn_count === 1)
-			setTimeout(() => Utils.sendCmd('action', game.take_action(game)), 3000);
-	},
-	/**
-	 * @param {{tableID: number }} data
-	 * 
-	 * Received when successfully joining a table.
-	 */
-	joined: (data) => {
-		const { tableID } = data;
-		game.tableID = tableID;
-		gameStarted = false;
-	},
-	/**
-	 * @param {InitData} data
-	 * 
-	 * Received at the beginning of the game, with information about the game.
-	 */
-	init: async (data) => {
-		const { tableID, playerNames, ourPlayerIndex, options } = data;
-		const variant = await getVariant(options.variantName);
+		if (sessions.slice(0, sessions.indexOf(this)).some(session => session.tableSettings[tableID]?.settings.convention === convention))
+			return;
 
-		await getShortForms(variant);
+		const { unsupported, partial } = support;
 
-		const state = new State(playerNames, ourPlayerIndex, variant, options);
+		if (unsupported.length > 0)
+			this.sendChat(tableID, `Warning: ${convention} conventions don't support ${unsupported.join(', ')}.${refuse === 'refuse' ? ' The bot will not /start this game.' : ''}`);
 
-		// Initialize game state using convention set
-		game = new conventions[/** @type {'HGroup' | 'PlayfulSieve'} */ (settings.convention)](tableID, state, true, settings.level);
+		if (partial.length > 0)
+			this.sendChat(tableID, `Note: ${convention} conventions only partly support ${partial.join(', ')}, so the bot may make mistakes.`);
 
-		Utils.globalModify({ game });
+		if (unsupported.length === 0 && partial.length === 0)
+			this.sendChat(tableID, `${convention} conventions now fully support this table.`);
+	}
 
-		// Ask the server for more info
-		Utils.sendCmd('getGameInfo2', { tableID: data.tableID });
-	},
 	/**
-	 * Received when leaving a table.
+	 * Returns the ID of the most recent table that both the user and the bot are in, or undefined if there are none.
+	 * @param {string} username
 	 */
-	left: () => {
-		game.tableID = undefined;
-		gameStarted = false;
-	},
-	/**
-	 * @param {Table} data
-	 * 
-	 * Received when a table updates its information.
-	 */
-	table: (data) => {
-		tables[data.id] = data;
+	userTable(username) {
+		const tables = Object.keys(this.games).map(tableID => this.tables[tableID]).filter(table =>
+			table !== undefined && (table.players.includes(username) || table.spectators.some(spec => spec.name === username)));
+
+		return Utils.maxOn(tables, (table) => table.id)?.id;
+	}
 
-		// Only bots left in the replay
-		if (data.id === game.tableID && data.sharedReplay && data.spectators.every(({name}) => name.startsWith('will-bot')))
-			leaveRoom();
-	},
 	/**
-	 * @param {Table} data
-	 * 
-	 * Received when a table is removed.
+	 * Returns the settings to use at a table, from the table's saved settings or those of the inviter or another player.
+	 * @param {number} tableID
+	 * @param {string} [inviter]
 	 */
-	tableGone: (data) => {
-		delete tables[data.id];
-	},
+	resolveSettings(tableID, inviter) {
+		const players = this.tables[tableID]?.players.filter(name => name !== this.self?.username) ?? [];
+		const usernames = [inviter, ...players].filter(name => name !== undefined);
+
+		return this.store.resolve(tableID, usernames, this.settings);
+	}
+
 	/**
-	 * @param {Table[]} data
-	 * 
-	 * Received once, with a list of the current tables and their information.
+	 * Sends a private chat message in hanab.live to the recipient.
+	 * @param {string} recipient
+	 * @param {string} msg
 	 */
-	tableList: (data) => {
-		for (const table of data)
-			tables[table.id] = table;
-	},
+	sendPM(recipient, msg) {
+		this.sendCmd('chatPM', { msg, recipient, room: 'lobby' });
+	}
+
 	/**
-	 * @param {{tableID: number, replay: boolean}} data
-	 * 
-	 * Received when the current table starts a game.
+	 * Sends a chat message in hanab.live to the room.
+	 * @param {number} tableID
+	 * @param {string} msg
 	 */
-	tableStart: (data) => {
-		Utils.sendCmd('getGameInfo1', { tableID: data.tableID });
-		gameStarted = true;
-	},
+	sendChat(tableID, msg) {
+		this.sendCmd('chat', { msg, room: `table${tableID}` });
+	}
+
 	/**
-	 * @param {{warning: string}} data
-	 * 
-	 * Received when we send an invalid command.
+	 * Sends a game command to hanab.live with an object as data.
+	 * @param {string} command
+	 * @param {any} arg
 	 */
-	warning: (data) => {
-		if (last_sender === undefined) {
-			logger.error(data.warning);
+	sendCmd(command, arg) {
+		const cmd = command + ' ' + JSON.stringify(arg);
+
+		// Actions shouldn't wait behind notes and chat messages, especially in timed games
+		if (command === 'action')
+			this.cmdQueue.unshift(cmd);
+		else
+			this.cmdQueue.push(cmd);
+
+		if (this.queueTimer === undefined)
+			this.emptyCmdQueue();
+	}
+
+	emptyCmdQueue() {
+		if (this.cmdQueue.length === 0) {
+			this.queueTimer = undefined;
+			return;
+		}
+
+		const cmd = this.cmdQueue.shift();
+
+		// Commands can't be sent while reconnecting, and will be stale once the game state is rebuilt
+		if (this.ws?.readyState !== this.ws?.OPEN) {
+			logger.warn('dropping cmd while disconnected', cmd);
 		}
 		else {
-			Utils.sendPM(last_sender, data.warning);
-			last_sender = undefined;
+			this.ws.send(cmd);
+			logger.debug('sending cmd', cmd);
 		}
-	},
+
+		this.queueTimer = setTimeout(() => this.emptyCmdQueue(), 500);
+	}
+
 	/**
-	 * @param {Self} data
-	 * 
-	 * Received when we first register a websocket.
+	 * Leaves a room/shared replay.
+	 * @param {number} tableID
 	 */
-	welcome: (data) => { self = data; },
-};
+	leaveRoom(tableID) {
+		this.sendCmd(this.started.has(tableID) ? 'tableUnattend' : 'tableLeave', { tableID });
 
-/**
- * Leaves a room/shared replay.
- */
-function leaveRoom() {
-	Utils.sendCmd(gameStarted ? 'tableUnattend' : 'tableLeave', { tableID: game.tableID });
-	game.tableID = undefined;
-	game.in_progress = false;
-	gameStarted = false;
-}
+		if (this.games[tableID] !== undefined)
+			this.games[tableID].in_progress = false;
 
-/**
- * @param {ChatMessage} data
- * @param {boolean} priv 		Whether the message was sent in a PM or not.
- */
-function assignSettings(data, priv) {
-	const parts = data.msg.split(' ');
+		this.forgetTable(tableID);
+	}
+
+	/**
+	 * Removes all information about a table that we are no longer in.
+	 * @param {number} tableID
+	 */
+	forgetTable(tableID) {
+		delete this.games[tableID];
+		delete this.tableSettings[tableID];
+		delete this.inviters[tableID];
+		delete this.support[tableID];
+		this.started.delete(tableID);
+	}
+
+	/**
+	 * Displays or modifies the settings for a table, or a user's saved settings if no table is provided.
+	 * Modifying settings in a PM also saves them for the user, so they are used for the next tables the user invites the bot to.
+	 * @param {ChatMessage} data
+	 * @param {boolean} priv 			Whether the message was sent in a PM or not.
+	 * @param {Session[]} sessions 		The sessions to modify the settings of.
+	 * @param {number} [tableID] 		The table to modify the settings of.
+	 */
+	assignSettings(data, priv, sessions, tableID) {
+		const [command, ...args] = data.msg.split(' ');
+		const options = args.filter(arg => arg.includes('='));
+		const parts = [command, ...args.filter(arg => !arg.includes('='))];
 
-	/** @type {(msg: string) => void} msg */
-	const reply = priv ? (msg) => Utils.sendPM(data.who, msg) : (msg) => Utils.sendChat(game.tableID, msg);
+		const option_formats = Object.entries(SETTING_OPTIONS).map(([name, values]) => `${name}=${values.join('|')}`).concat('delay=<ms>').join(', ');
 
-	const settingsString = () => settings.convention + (settings.convention === 'HGroup' ? ` ${settings.level}` : '');
+		/** @type {(msg: string) => void} msg */
+		const reply = priv ? (msg) => this.sendPM(data.who, msg) : (msg) => this.sendChat(tableID, msg);
 
-	// Viewing settings
-	if (parts.length === 1) {
-		reply(`Currently playing with ${settingsString()} conventions.`);
-		return;
-	}
+		/** @param {ResolvedSettings} resolved */
+		const describe = ({ settings: { convention, level, summary, unsupported, delay }, scope, username }) => {
+			const source = scope === 'table' ? 'set for this table' :
+				scope === 'user' ? `${username === data.who ? 'your' : `${username}'s`} saved settings` :
+				'default settings';
 
-	if (game.in_progress) {
-		reply('Settings cannot be modified in the middle of a game.');
-		return;
-	}
+			const summary_target = summary === 'pm' ? ' Post-game summaries are sent by PM to whoever invited the bot.' :
+				summary === 'off' ? ' Post-game summaries are off.' :
+				'';
 
-	/** @type {number} */
-	let level;
+			const refuse = unsupported === 'refuse' ? ' Games the conventions don\'t support will not be started with /start.' : '';
 
-	// Allow setting H-Group conventions by only providing level
-	if (!isNaN(Number(parts[1]))) {
-		settings.convention = 'HGroup';
-		level = Number(parts[1]);
-	}
-	else {
-		if (!conventions[parts[1]]) {
-			reply(`Format is ${priv ? '/settings' : '/setall'} [convention=HGroup] [level=1]. For example, try '${priv ? '/settings' : '/setall'} HGroup 1'.`);
+			const delay_msg = delay !== this.settings.delay ? ` Actions are taken after ${delay}ms.` : '';
+
+			return `Currently playing with ${convention + (convention === 'HGroup' ? ` ${level}` : '')} conventions (${source}).${summary_target}${refuse}${delay_msg}`;
+		};
+
+		const current = tableID !== undefined ? this.tableSettings[tableID] : this.store.resolve(undefined, [data.who], this.settings);
+
+		// Viewing settings
+		if (parts.length === 1 && options.length === 0) {
+			reply(describe(current));
 			return;
 		}
-		settings.convention = parts[1];
-	}
-
-	if (settings.convention === 'HGroup') {
-		level = level ?? (Number(parts[2]) || 1);
 
-		if (level < 1 || level > MAX_H_LEVEL) {
-			reply(`This bot can currently only play between levels 1 and ${MAX_H_LEVEL}. Currently set to level ${settings.level}.`);
+		// Only changing conventions affects the current game
+		if (parts.length > 1 && tableID !== undefined && sessions.some(session => session.games[tableID]?.in_progress)) {
+			reply('Settings cannot be modified in the middle of a game.');
 			return;
 		}
-		settings.level = Math.max(Math.min(level, MAX_H_LEVEL), 1);
-	}
 
-	reply(`Currently playing with ${settingsString()} conventions.`);
+		/** @type {Settings} */
+		const settings = { ...current.settings };
+
+		for (const option of options) {
+			const [name, value] = option.split('=');
+
+			if (name === 'delay') {
+				const delay = Number(value);
+
+				if (value === '' || !Number.isInteger(delay) || delay < 0 || delay > MAX_DELAY) {
+					reply(`The delay must be a number of milliseconds between 0 and ${MAX_DELAY}.`);
+					return;
+				}
+				settings.delay = delay;
+				continue;
+			}
+
+			if (!SETTING_OPTIONS[name]?.includes(value)) {
+				reply(`Unknown option ${option}. The available options are ${option_formats}.`);
+				return;
+			}
+			settings[name] = value;
+		}
+
+		// The conventions stay the same if only options were provided
+		if (parts.length > 1) {
+			/** @type {number} */
+			let level;
+
+			// Allow setting H-Group conventions by only providing level
+			if (!isNaN(Number(parts[1]))) {
+				settings.convention = 'HGroup';
+				level = Number(parts[1]);
+			}
+			else {
+				if (!conventions[parts[1]]) {
+					reply(`Format is ${priv ? '/settings' : '/setall'} [convention=HGroup] [level=1] [${option_formats.split(', ').join('] [')}]. For example, try '${priv ? '/settings' : '/setall'} HGroup 1'.`);
+					return;
+				}
+				settings.convention = parts[1];
+			}
+
+			if (settings.convention === 'HGroup') {
+				level = level ?? (Number(parts[2]) || 1);
+
+				if (level < 1 || level > MAX_H_LEVEL) {
+					reply(`This bot can currently only play between levels 1 and ${MAX_H_LEVEL}. Currently set to level ${current.settings.level}.`);
+					return;
+				}
+				settings.level = Math.max(Math.min(level, MAX_H_LEVEL), 1);
+			}
+		}
+
+		if (tableID !== undefined) {
+			for (const session of sessions) {
+				session.tableSettings[tableID] = { settings: { ...settings }, scope: 'table' };
+				session.store.setTable(tableID, settings);
+
+				if (session.games[tableID]?.state !== undefined)
+					session.games[tableID].moveDelay = settings.delay;
+
+				// Different conventions may not support the table
+				if (!session.started.has(tableID))
+					session.checkTable(tableID);
+			}
+		}
+
+		if (priv)
+			this.store.setUser(data.who, settings);
+
+		if (tableID === undefined)
+			reply(describe({ settings, scope: 'user', username: data.who }));
+		else
+			reply(describe(this.tableSettings[tableID]) + (priv ? ' These are also saved as your settings for future tables.' : ''));
+	}
 }
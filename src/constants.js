@@ -1,6 +1,9 @@
-export const MAX_H_LEVEL = 6;
+export const MAX_H_LEVEL = 11;
 export const BOT_VERSION = '1.2.10';
 
+/** In timed games, the time left on the bot's clock (in ms) below which it acts as quickly as possible. */
+export const HURRY_TIME = 15000;
+
 export const ACTION =  /** @type {const} */ ({
 	PLAY: 0,
 	DISCARD: 1,
@@ -7,14 +7,23 @@ import { update_turn } from './h-group/update-turn.js';
 
 import { HGroup_Player } from './h-player.js';
 import * as Utils from '../tools/util.js';
+import { variantRegexes } from '../variants.js';
 
 /**
  * @typedef {import('../basics/State.js').State} State
  * @typedef {import('../variants.js').Variant} Variant
  * @typedef {import('../types-live.js').TableOptions} TableOptions
+ * @typedef {import('../basics/Game.js').Capabilities} Capabilities
  */
 
 export default class HGroup extends Game {
+	/** @type {Capabilities} */
+	static capabilities = {
+		...Game.capabilities,
+		partialSuits: { 'dark suits': variantRegexes.dark, 'prism suits': variantRegexes.prism },
+		partialRules: { chimneys: 'chimneys', funnels: 'funnels', specialRankDeceptive: 'deceptive ranks' }
+	};
+
 	convention_name = 'HGroup';
 	interpret_clue = interpret_clue;
 	interpret_discard = interpret_discard;
@@ -48,6 +57,10 @@ export default class HGroup extends Game {
 		const blank = new HGroup(this.tableID, this.state.createBlank(), this.in_progress, this.level);
 		blank.notes = this.notes;
 		blank.rewinds = this.rewinds;
+		blank.rewindTurns = this.rewindTurns;
+		blank.sendCmd = this.sendCmd;
+		blank.moveDelay = this.moveDelay;
+		blank.clock = this.clock;
 		return blank;
 	}
 
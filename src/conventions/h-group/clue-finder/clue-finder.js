@@ -138,6 +138,75 @@ function find_tcm(game, target, saved_cards, trash_card, play_clues) {
 	}
 }
 
+/**
+ * Finds a trash clue on the given card that makes someone blind play (i.e. a trash finesse, bluff or push), if valid.
+ * @param {Game} game
+ * @param {number} target
+ * @param {ActualCard} trash_card
+ * @returns {Clue | undefined}
+ */
+function find_trash_finesse(game, target, trash_card) {
+	const { state } = game;
+
+	logger.info(`attempting trash finesse with trash card ${logCard(trash_card)}`);
+	const clue = determine_clue(game, target, trash_card, {});
+
+	if (clue === undefined)
+		return;
+
+	const { playables } = clue.result;
+
+	// The blind played card must actually be playable
+	if (playables.length === 0 || playables.some(({ card }) => !state.isPlayable(state.deck[card.order]))) {
+		logger.info(`${logClue(clue)} doesn't lead to a valid blind play`);
+		return;
+	}
+
+	return clue;
+}
+
+/**
+ * Finds a clue on the given card that bluffs the next player (i.e. makes them blind play a card that doesn't connect), if valid.
+ * The card must be one-away from playable, unless it is a 3 (which can be bluffed with a 3 clue).
+ * @param {Game} game
+ * @param {number} target
+ * @param {ActualCard} card
+ * @returns {Clue | undefined}
+ */
+function find_bluff_clue(game, target, card) {
+	const { common, me, state } = game;
+	const reacting = (state.ourPlayerIndex + 1) % state.numPlayers;
+
+	// Only the next player can be bluffed, and never by a clue to themselves
+	if (reacting === target)
+		return;
+
+	const bluffed = common.find_finesse(state.hands[reacting], [], game.next_ignore[0]);
+
+	// Blind playing the connecting card would be a finesse instead
+	if (bluffed === undefined || !state.isPlayable(bluffed) || bluffed.suitIndex === card.suitIndex)
+		return;
+
+	const next_rank = me.hypo_stacks[card.suitIndex] + 1;
+	const one_away = card.rank === next_rank + 1;
+
+	if (!one_away && !(card.rank === 3 && next_rank < 3))
+		return;
+
+	logger.info(`attempting bluff on ${logCard(card)} with ${state.playerNames[reacting]}'s ${logCard(bluffed)}`);
+	const clue = determine_clue(game, target, card, { excludeColour: !one_away });
+
+	if (clue === undefined)
+		return;
+
+	if (!clue.result.playables.some(({ card }) => card.order === bluffed.order)) {
+		logger.info(`${logClue(clue)} doesn't bluff ${logCard(bluffed)}`);
+		return;
+	}
+
+	return clue;
+}
+
 /**
  * Finds a 5's Chop Move (if valid) with the given chop moved card in the target's hand.
  * @param {Game} 		game
@@ -235,7 +304,15 @@ export function find_clues(game, options = {}) {
 						found_tcm = true;
 						logger.info('--------');
 					}
-					// TODO: Eventually, trash bluff/finesse/push?
+					// Trash finesse, bluff or push (only possible if there is nothing to chop move)
+					else if (game.level >= LEVEL.TRASH_FINESSES && !card.saved && hand.slice(cardIndex + 1).every(c => me.thoughts[c.order].saved)) {
+						const trash_clue = find_trash_finesse(game, target, hand[cardIndex]);
+
+						if (trash_clue !== undefined)
+							play_clues[target].push(trash_clue);
+
+						logger.info('--------');
+					}
 					continue;
 				}
 
@@ -277,6 +354,17 @@ export function find_clues(game, options = {}) {
 			if (isTrash(state, me, card, order))
 				continue;
 
+			// Bluff (only on cards that aren't playable yet)
+			if (game.level >= LEVEL.BLUFFS) {
+				const bluff_clue = find_bluff_clue(game, target, hand[cardIndex]);
+
+				if (bluff_clue !== undefined) {
+					play_clues[target].push(bluff_clue);
+					logger.info('--------');
+					continue;
+				}
+			}
+
 			// Play clue
 			const clue = determine_clue(game, target, hand[cardIndex], { excludeRank: interpreted_5cm });
 			if (clue !== undefined) {
@@ -317,6 +405,14 @@ export function find_clues(game, options = {}) {
 			logger.info('--------');
 		}
 
+		// Comparing saves requires simulating each of them, so take the first safe one without bad touch when short on time
+		const quick_save = game.hurried ? saves.find(c => c !== undefined && c.safe && !(c.result?.bad_touch > 0)) : undefined;
+
+		if (quick_save !== undefined) {
+			save_clues[target] = quick_save;
+			continue;
+		}
+
 		save_clues[target] = Utils.maxOn(saves.filter(c => c !== undefined), (save_clue) => {
 			const { type, value, target } = save_clue;
 			const list = hand.clueTouched(save_clue, state.variant).map(c => c.order);
@@ -1,3 +1,4 @@
+import { LEVEL } from '../h-constants.js';
 import { save2 } from '../../../basics/hanabi-util.js';
 import logger from '../../../tools/logger.js';
 
@@ -75,8 +76,14 @@ export function clue_safe(game, player, clue) {
 
 	logger.info(`next unoccupied ${state.playerNames[next_unoccupied]} has unsafe chop but loaded, next next ${state.playerNames[next_unoccupied2]} has ${chopUnsafe(hypo_state, player, next_unoccupied2) ? 'unsafe' : 'safe'} chop with ${hypo_state.clue_tokens} clues`);
 
+	// With no clues, the loaded player can still save the player after them with a shout discard.
+	// They can't scream, since their own chop is unsafe.
+	const can_shout = game.level >= LEVEL.LAST_RESORTS && next_unoccupied2 === (next_unoccupied + 1) % state.numPlayers &&
+		hypo_game.common.thinksPlayables(hypo_state, next_unoccupied).length > 0 &&
+		hypo_game.common.thinksTrash(hypo_state, next_unoccupied).length > 0;
+
 	// Safe chop or can be saved
-	return !chopUnsafe(hypo_state, hypo_player, next_unoccupied2) || hypo_state.clue_tokens > 0;
+	return !chopUnsafe(hypo_state, hypo_player, next_unoccupied2) || hypo_state.clue_tokens > 0 || can_shout;
 }
 
 /**
@@ -90,5 +97,5 @@ export function chopUnsafe(state, player, playerIndex) {
 	const chop = player.chop(state.hands[playerIndex], { afterClue: true });
 
 	return (chop && (state.isCritical(chop) || save2(state, player, chop))) ||	// Crit or unique 2 on chop
-			(state.clue_tokens === 0 && chop === undefined);				// Locked with no clue tokens (TODO: See if a 5 can be played?)
+			(state.clue_tokens === 0 && chop === undefined);				// Locked with no clue tokens (they must discard a useful card or risk an anxiety play)
 }
@@ -183,6 +183,10 @@ export function determine_clue(game, target, target_card, options) {
 		logger.info('result,', JSON.stringify(result_log), find_clue_value(Object.assign(result, { remainder })));
 
 		results.push({ clue, result: { elim, new_touched, bad_touch, trash, finesses, playables, remainder } });
+
+		// Settle for the first valid clue without bad touch when short on time
+		if (game.hurried && bad_touch === 0)
+			break;
 	}
 
 	if (results.length === 0)
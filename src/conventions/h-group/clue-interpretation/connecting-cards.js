@@ -170,6 +170,45 @@ function find_unknown_connecting(game, giver, target, reacting, identity, connec
 	}
 }
 
+/**
+ * Finds a bluff on the given identity (i.e. a blind play of a playable card that doesn't connect).
+ *
+ * Only the player directly after the giver (the bluff seat) can be bluffed, and never the clue target.
+ * @param {Game} game
+ * @param {number} giver
+ * @param {number} target
+ * @param {Identity} identity 		The identity that the blind play would have connected to, if it were a finesse.
+ * @param {number[]} [connected] 	The orders of cards that have previously connected (and should be skipped).
+ * @param {number[]} [ignoreOrders] The orders of cards to ignore when searching.
+ * @returns {Connection | undefined}
+ */
+export function find_bluff(game, giver, target, identity, connected = [], ignoreOrders = []) {
+	const { common, state } = game;
+	const reacting = (giver + 1) % state.numPlayers;
+
+	if (game.level < LEVEL.BLUFFS || reacting === target)
+		return;
+
+	const hand = state.hands[reacting];
+
+	// They would play into a prompt rather than blind playing
+	if (common.find_prompt(hand, identity, state.variant.suits, connected, ignoreOrders) !== undefined)
+		return;
+
+	const bluffed = common.find_finesse(hand, connected, ignoreOrders);
+
+	// The blind play must be playable right now and not connect (otherwise, it's a finesse)
+	if (bluffed?.identity() === undefined || bluffed.matches(identity) || !state.isPlayable(bluffed))
+		return;
+
+	if (state.hands.some((hand, index) => index !== giver && hand.some(c => common.thoughts[c.order].touched && c.matches(bluffed)))) {
+		logger.warn(`disallowed bluff on ${logCard(bluffed)}, playable already clued elsewhere`);
+		return;
+	}
+
+	return { type: 'bluff', reacting, card: bluffed, identities: [bluffed.raw()] };
+}
+
 /**
  * Looks for an inferred connecting card (i.e. without forcing a prompt/finesse).
  * @param {Game} game
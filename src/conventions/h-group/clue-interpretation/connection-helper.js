@@ -200,7 +200,7 @@ export function assign_connections(game, connections, options = {}) {
 		if (!card.superposition && card.old_inferred === undefined)
 			card.old_inferred = card.inferred;
 
-		if (type === 'finesse') {
+		if (type === 'finesse' || type === 'bluff') {
 			card.finessed = true;
 			card.finesse_index = state.actionList.length;
 			card.hidden = hidden;
@@ -209,7 +209,8 @@ export function assign_connections(game, connections, options = {}) {
 				card.certain_finessed = true;
 		}
 
-		if (hidden) {
+		// Like a hidden card, a bluffed card is only known to be playable
+		if (hidden || type === 'bluff') {
 			const playable_identities = hypo_stacks.map((stack_rank, index) => ({ suitIndex: index, rank: stack_rank + 1 }));
 			card.inferred = card.inferred.intersect(playable_identities);
 
@@ -1,6 +1,6 @@
 import { CLUE } from '../../../constants.js';
 import { determine_focus, rankLooksPlayable } from '../hanabi-logic.js';
-import { find_connecting } from './connecting-cards.js';
+import { find_bluff, find_connecting, find_known_connecting } from './connecting-cards.js';
 import { visibleFind } from '../../../basics/hanabi-util.js';
 import logger from '../../../tools/logger.js';
 import { logCard, logConnections } from '../../../tools/log.js';
@@ -14,6 +14,56 @@ import { variantRegexes } from '../../../variants.js';
  * @typedef {import('../../../types.js').FocusPossibility} FocusPossibility
  */
 
+/**
+ * Returns the focus possibility of a bluff on the given suit, if one is possible.
+ *
+ * The bluffed card stands in for the next card of the suit, so the focus is one-away from playable.
+ * A hard bluff also connects through cards that are already known or playable, and a 3 clue can bluff any 3 (a 3 bluff).
+ * @param {Game} game
+ * @param {ClueAction} action
+ * @param {number} suitIndex
+ * @param {number} [rank] 	The rank of the focus, if known from the clue.
+ * @returns {FocusPossibility | undefined}
+ */
+function find_bluff_focus(game, action, suitIndex, rank) {
+	const { common, state } = game;
+	const { clue, giver, list, target } = action;
+	const { focused_card } = determine_focus(state.hands[target], common, list);
+	const stack = state.play_stacks[suitIndex];
+	const identity = { suitIndex, rank: stack + 1 };
+
+	// The bluffed player only blind plays if they can't see the connecting card anywhere else
+	const connecting = find_connecting(game, giver, target, identity, true, [focused_card.order], game.next_ignore[0]);
+	if (connecting.some(conn => conn.reacting !== (giver + 1) % state.numPlayers))
+		return;
+
+	const bluff = find_bluff(game, giver, target, identity, [focused_card.order], game.next_ignore[0]);
+	if (bluff === undefined)
+		return;
+
+	const connections = [bluff];
+	let next_rank = stack + 2;
+
+	while (next_rank < (rank ?? state.max_ranks[suitIndex])) {
+		const ignoreOrders = (game.next_ignore[next_rank - stack - 1] ?? []).concat(focused_card.order, bluff.card.order);
+		const known = find_known_connecting(game, giver, { suitIndex, rank: next_rank }, ignoreOrders);
+
+		if (known === undefined || known.type === 'terminate')
+			break;
+
+		connections.push(known);
+		next_rank++;
+	}
+
+	const three_bluff = clue.type === CLUE.RANK && clue.value === 3 && next_rank < 3;
+
+	if (next_rank > state.max_ranks[suitIndex] || (rank !== undefined && rank !== next_rank && !three_bluff))
+		return;
+
+	logger.info('found bluff:', logConnections(connections, { suitIndex, rank: rank ?? next_rank }));
+	return { suitIndex, rank: rank ?? next_rank, save: false, connections };
+}
+
 /**
  * Returns all the valid focus possibilities of the focused card from a clue of the given colour.
  * @param {Game} game
@@ -87,6 +137,12 @@ function find_colour_focus(game, suitIndex, action) {
 	// Our card could be the final rank that we can't find
 	focus_possible.push({ suitIndex, rank: next_rank, save: false, connections });
 
+	const bluff_focus = find_bluff_focus(game, action, suitIndex);
+
+	// A bluff is only another possibility, which is resolved by whether the bluffed player blind plays
+	if (bluff_focus !== undefined && !focus_possible.some(fp => fp.rank === bluff_focus.rank))
+		focus_possible.push(bluff_focus);
+
 	// Save clue on chop (5 save cannot be done with colour)
 	if (chop) {
 		for (let rank = state.play_stacks[suitIndex] + 1; rank <= Math.min(state.max_ranks[suitIndex], 5); rank++) {
@@ -254,6 +310,13 @@ function find_rank_focus(game, rank, action) {
 			else
 				focus_possible.push({ suitIndex, rank, save: false, connections });
 		}
+
+		// Saving 2s or criticals will never cause a bluff either
+		state.play_stacks = old_play_stacks;
+		const bluff_focus = (chop && (rank === 2 || state.isCritical({ suitIndex, rank }))) ? undefined : find_bluff_focus(game, action, suitIndex, rank);
+
+		if (bluff_focus !== undefined && !focus_possible.some(fp => fp.suitIndex === suitIndex && fp.rank === rank))
+			focus_possible.push(bluff_focus);
 	}
 
 	// Restore play stacks
@@ -1,6 +1,7 @@
 import { CLUE } from '../../../constants.js';
 import { LEVEL } from '../h-constants.js';
 import { interpret_tcm, interpret_5cm, interpret_tccm } from './interpret-cm.js';
+import { interpret_trash_finesse } from './interpret-trash.js';
 import { stalling_situation } from './interpret-stall.js';
 import { determine_focus, rankLooksPlayable } from '../hanabi-logic.js';
 import { find_focus_possible } from './focus-possible.js';
@@ -88,7 +89,7 @@ function resolve_clue(game, old_game, action, inf_possibilities, focused_card) {
 		assign_connections(game, connections);
 
 		// Multiple possible sets, we need to wait for connections
-		if (connections.length > 0 && connections.some(conn => ['prompt', 'finesse'].includes(conn.type)))
+		if (connections.length > 0 && connections.some(conn => ['prompt', 'finesse', 'bluff'].includes(conn.type)))
 			common.waiting_connections.push({ connections, conn_index: 0, focused_card, inference, giver, target, action_index: state.actionList.length - 1 });
 	}
 
@@ -178,6 +179,12 @@ export function interpret_clue(game, action) {
 			focus_thoughts.possible.every(c => isTrash(state, common, c, focused_card.order)) &&
 			!focus_thoughts.inferred.every(i => state.isPlayable(i))
 		) {
+			if (game.level >= LEVEL.TRASH_FINESSES && interpret_trash_finesse(game, action)) {
+				common.update_hypo_stacks(state);
+				team_elim(game);
+				return;
+			}
+
 			interpret_tcm(game, target);
 			return;
 		}
@@ -0,0 +1,141 @@
+import { isTrash, refer_right } from '../../../basics/hanabi-util.js';
+
+import logger from '../../../tools/logger.js';
+import { logCard } from '../../../tools/log.js';
+
+/**
+ * @typedef {import('../../h-group.js').default} Game
+ * @typedef {import('../../../basics/Card.js').ActualCard} ActualCard
+ * @typedef {import('../../../types.js').ClueAction} ClueAction
+ * @typedef {import('../../../types.js').Identity} Identity
+ */
+
+/**
+ * Marks the card as finessed into some currently playable card.
+ * 
+ * Returns undefined without writing anything if the card is already touched or can't be playable.
+ * @param {Game} game
+ * @param {ActualCard} card
+ * @returns {Identity[] | undefined} 	The playable identities.
+ */
+function write_blind_play(game, card) {
+	const { common, state } = game;
+	const playables = state.play_stacks.map((rank, suitIndex) => ({ suitIndex, rank: rank + 1 })).filter(({ suitIndex, rank }) => rank <= state.max_ranks[suitIndex]);
+	const thoughts = common.thoughts[card.order];
+
+	if (card.clued || thoughts.finessed || thoughts.inferred.intersect(playables).length === 0)
+		return;
+
+	thoughts.old_inferred = thoughts.inferred;
+	thoughts.inferred = thoughts.inferred.intersect(playables);
+	thoughts.finessed = true;
+	thoughts.finesse_index = state.actionList.length;
+
+	return playables;
+}
+
+/**
+ * Returns the player who should blind play from a trash clue and their card on finesse position, or undefined if nobody can.
+ * 
+ * This is the closest player after the giver (other than the target) with a playable card on finesse position.
+ * We can't see our own finesse position, so it is only ours if nobody else visibly has one.
+ * @param {Game} game
+ * @param {number} giver
+ * @param {number} target
+ * @param {number[]} ignoreOrders 	Orders of cards that have been shown not to be the blind play.
+ * @returns {{reacting: number, card: ActualCard} | undefined}
+ */
+function find_trash_blind_play(game, giver, target, ignoreOrders) {
+	const { common, me, state } = game;
+
+	for (let i = 1; i < state.numPlayers; i++) {
+		const playerIndex = (giver + i) % state.numPlayers;
+
+		if (playerIndex === target || playerIndex === state.ourPlayerIndex)
+			continue;
+
+		const card = common.find_finesse(state.hands[playerIndex], [], ignoreOrders);
+
+		if (card !== undefined && state.isPlayable(card))
+			return { reacting: playerIndex, card };
+	}
+
+	if (giver === state.ourPlayerIndex || target === state.ourPlayerIndex)
+		return;
+
+	const card = common.find_finesse(state.hands[state.ourPlayerIndex], [], ignoreOrders);
+
+	if (card !== undefined && me.thoughts[card.order].possible.some(p => state.isPlayable(p)))
+		return { reacting: state.ourPlayerIndex, card };
+}
+
+/**
+ * Interprets a trash clue that doesn't chop move anything (i.e. the trash is on chop) as a trash finesse, trash bluff or trash push.
+ * The clue must have already been registered.
+ *
+ * The closest player after the giver (other than the target) with a playable card on finesse position blind plays it,
+ * which is a trash bluff if they are in the bluff seat (right after the giver) and a trash finesse otherwise.
+ * If nobody can, the target plays the card to the right of the trash instead (a trash push).
+ * @param {Game} game
+ * @param {ClueAction} action
+ * @returns Whether the clue was interpreted as a trash finesse, bluff or push.
+ */
+export function interpret_trash_finesse(game, action) {
+	const { common, state } = game;
+	const { giver, target } = action;
+	const hand = state.hands[target];
+	const ignoreOrders = game.next_ignore[0] ?? [];
+
+	let oldest_trash_index;
+	// Find the oldest newly clued trash
+	for (let i = hand.length - 1; i >= 0; i--) {
+		const card = hand[i];
+
+		if (card.newly_clued && common.thoughts[card.order].possible.every(c => isTrash(state, common, c, card.order))) {
+			oldest_trash_index = i;
+			break;
+		}
+	}
+
+	// There are cards to chop move, so this is a trash chop move
+	if (oldest_trash_index === undefined || hand.some((c, i) => i > oldest_trash_index && !common.thoughts[c.order].saved))
+		return false;
+
+	const blind_play = find_trash_blind_play(game, giver, target, ignoreOrders);
+	const identities = blind_play && write_blind_play(game, blind_play.card);
+
+	if (identities !== undefined) {
+		const { reacting, card } = blind_play;
+		const bluff = reacting === (giver + 1) % state.numPlayers;
+
+		logger.highlight('cyan', `trash ${bluff ? 'bluff' : 'finesse'} on ${state.playerNames[reacting]}'s ${reacting === state.ourPlayerIndex ? `slot ${state.hands[reacting].findIndex(c => c.order === card.order) + 1}` : logCard(card)}`);
+
+		common.waiting_connections.push({
+			connections: [{ type: bluff ? 'bluff' : 'finesse', reacting, card, identities }],
+			conn_index: 0,
+			focused_card: card,
+			inference: reacting === state.ourPlayerIndex ? identities[0] : card.raw(),
+			giver,
+			target,
+			action_index: state.actionList.length - 1
+		});
+		return true;
+	}
+
+	// Whoever was supposed to blind play didn't, so this was only a trash clue
+	if (ignoreOrders.length > 0) {
+		logger.warn('trash finesse was never played into, not pushing');
+		return false;
+	}
+
+	const target_index = refer_right(hand, oldest_trash_index);
+	const target_card = hand[target_index];
+
+	if (write_blind_play(game, target_card) === undefined) {
+		logger.warn(`trash push on ${state.playerNames[target]}'s slot ${target_index + 1}, but it can't be played`);
+		return false;
+	}
+
+	logger.highlight('cyan', `trash push on ${state.playerNames[target]}'s slot ${target_index + 1}`);
+	return true;
+}
@@ -4,7 +4,12 @@ export const LEVEL = /** @type {const} */ ({
 	BASIC_CM: 4,
 	INTERMEDIATE_FINESSES: 5,
 	TEMPO_CLUES: 6,
-	STALLING: 9
+	LAST_RESORTS: 7,
+	GENTLEMANS_DISCARD: 7,
+	ANXIETY_PLAY: 7,
+	STALLING: 9,
+	BLUFFS: 11,
+	TRASH_FINESSES: 11
 });
 
 export const ACTION_PRIORITY = /** @type {const} */ ({
@@ -1,6 +1,7 @@
 import { cardCount } from '../../variants.js';
 import { Hand } from '../../basics/Hand.js';
 import { visibleFind } from '../../basics/hanabi-util.js';
+import { find_sarcastics } from '../shared/sarcastic.js';
 import * as Utils from '../../tools/util.js';
 
 import { logHand } from '../../tools/log.js';
@@ -12,6 +13,7 @@ import { logHand } from '../../tools/log.js';
  * @typedef {import('../../basics/Card.js').Card} Card
  * @typedef {import('../../basics/Card.js').ActualCard} ActualCard
  * @typedef {import('../../types.js').Clue} Clue
+ * @typedef {import('../../types.js').Identity} Identity
  */
 
 /**
@@ -189,3 +191,34 @@ export function older_queued_finesse(hand, player, new_finesse_order) {
 			finesse_index < player.thoughts[new_finesse_order].finesse_index;		// The finesse must have been older
 	});
 }
+
+/**
+ * Returns the card targeted by a gentleman's discard (or a baton discard, if the identity isn't playable),
+ * i.e. the closest copy on finesse position after the discarder. If nobody else visibly has it, it may be ours.
+ * 
+ * Returns undefined if a clued copy could exist, since the discard would be sarcastic instead.
+ * @param {Game} game
+ * @param {number} discarder
+ * @param {Identity} identity
+ * @param {number[]} [ignoreOrders] 	Orders of cards that have been shown not to be the target.
+ * @returns {{reacting: number, card: ActualCard} | undefined}
+ */
+export function find_gentlemans_target(game, discarder, identity, ignoreOrders = []) {
+	const { common, me, state } = game;
+
+	if (state.hands.some((hand, playerIndex) => playerIndex !== discarder && find_sarcastics(hand, common, identity).length > 0))
+		return;
+
+	for (let i = 1; i < state.numPlayers; i++) {
+		const playerIndex = (discarder + i) % state.numPlayers;
+		const card = common.find_finesse(state.hands[playerIndex], [], ignoreOrders);
+
+		if (playerIndex !== state.ourPlayerIndex && card?.matches(identity))
+			return { reacting: playerIndex, card };
+	}
+
+	const card = common.find_finesse(state.hands[state.ourPlayerIndex], [], ignoreOrders);
+
+	if (discarder !== state.ourPlayerIndex && card !== undefined && me.thoughts[card.order].possible.has(identity))
+		return { reacting: state.ourPlayerIndex, card };
+}
@@ -1,3 +1,6 @@
+import { LEVEL } from './h-constants.js';
+import { IdentitySet } from '../../basics/IdentitySet.js';
+import { find_gentlemans_target } from './hanabi-logic.js';
 import { isTrash } from '../../basics/hanabi-util.js';
 import { team_elim, undo_hypo_stacks } from '../../basics/helper.js';
 import { interpret_sarcastic } from '../shared/sarcastic.js';
@@ -12,12 +15,97 @@ import { logCard } from '../../tools/log.js';
  * @typedef {import('../../basics/Hand.js').Hand} Hand
  * @typedef {import('../../basics/Card.js').ActualCard} ActualCard
  * @typedef {import('../../types.js').Identity} Identity
+ * @typedef {import('../../types.js').DiscardAction} DiscardAction
  */
 
+/**
+ * Returns whether the discard is a scream discard (discarding chop) or a shout discard (discarding known trash),
+ * i.e. the player discarded at 0 clues even though everyone knows they could have played.
+ * 
+ * Must be called before the discard is applied.
+ * @param {Game} game
+ * @param {DiscardAction} action
+ * @returns {'scream' | 'shout' | undefined}
+ */
+function find_scream(game, action) {
+	const { common, state } = game;
+	const { order, playerIndex, failed } = action;
+
+	if (game.level < LEVEL.LAST_RESORTS || failed || state.clue_tokens !== 0)
+		return;
+
+	if (!common.thinksPlayables(state, playerIndex).some(c => c.order !== order))
+		return;
+
+	if (common.chop(state.hands[playerIndex])?.order === order)
+		return 'scream';
+
+	if (common.thinksTrash(state, playerIndex).some(c => c.order === order))
+		return 'shout';
+}
+
+/**
+ * Chop moves the next player's chop after a scream or shout discard.
+ * @param {Game} game
+ * @param {number} playerIndex 	The player that performed the discard.
+ * @param {'scream' | 'shout'} type
+ */
+function interpret_scream(game, playerIndex, type) {
+	const { common, state } = game;
+	const next = (playerIndex + 1) % state.numPlayers;
+	const chop = common.chop(state.hands[next]);
+
+	if (chop === undefined) {
+		logger.warn(`${type} discard, but ${state.playerNames[next]} has no chop`);
+		return;
+	}
+
+	common.thoughts[chop.order].chop_moved = true;
+	logger.highlight('cyan', `${type} discard, chop moving ${state.playerNames[next]}'s ${next === state.ourPlayerIndex ? `slot ${state.hands[next].findIndex(c => c.order === chop.order) + 1}` : logCard(chop)}`);
+}
+
+/**
+ * Writes the identity of a gentleman's or baton discard onto the target card.
+ * 
+ * A gentleman's discard (of a playable card) asks the target to blind play, and waits for them
+ * so that the next closest copy can be found if they don't. A baton discard only tells the target what they have.
+ * @param {Game} game
+ * @param {DiscardAction} action
+ * @param {{reacting: number, card: ActualCard}} target
+ */
+function interpret_gentlemans(game, action, target) {
+	const { common, state } = game;
+	const { playerIndex, suitIndex, rank } = action;
+	const identity = { suitIndex, rank };
+	const { reacting, card } = target;
+	const thoughts = common.thoughts[card.order];
+	const playable = state.isPlayable(identity);
+
+	thoughts.old_inferred = thoughts.inferred;
+	thoughts.inferred = IdentitySet.create(state.variant.suits.length, identity);
+	thoughts.finessed = true;
+	thoughts.finesse_index = state.actionList.length;
+
+	logger.highlight('cyan', `${playable ? 'gentleman\'s' : 'baton'} discard, writing ${logCard(identity)} on ${state.playerNames[reacting]}'s ${reacting === state.ourPlayerIndex ? `slot ${state.hands[reacting].findIndex(c => c.order === card.order) + 1}` : logCard(card)}`);
+
+	if (!playable)
+		return;
+
+	common.waiting_connections.push({
+		connections: [{ type: 'finesse', reacting, card, identities: [identity] }],
+		conn_index: 0,
+		focused_card: card,
+		inference: identity,
+		giver: playerIndex,
+		target: playerIndex,
+		action_index: state.actionList.length - 1
+	});
+}
+
 /**
  * Interprets (writes notes) for a discard of the given card.
  * @param {Game} game
- * @param {import('../../types.js').DiscardAction} action
+ * @param {DiscardAction} action
  * @param {ActualCard} card
  */
 export function interpret_discard(game, action, card) {
@@ -25,6 +113,8 @@ export function interpret_discard(game, action, card) {
 	const { order, playerIndex, suitIndex, rank,  failed } = action;
 	const identity = { suitIndex, rank };
 	const thoughts = common.thoughts[order];
+	const known = thoughts.identity({ infer: true }) !== undefined;
+	const scream = find_scream(game, action);
 
 	Basics.onDiscard(game, action);
 
@@ -88,11 +178,20 @@ export function interpret_discard(game, action, card) {
 		logger.warn('discarded useful card!');
 		common.restore_elim(card);
 
+		const gentlemans = (game.level >= LEVEL.GENTLEMANS_DISCARD && known && !failed) ?
+			find_gentlemans_target(game, playerIndex, identity, game.next_ignore[0]) :
+			undefined;
+
 		// Card was bombed
 		if (failed)
 			undo_hypo_stacks(game, identity);
+		else if (gentlemans !== undefined)
+			interpret_gentlemans(game, action, gentlemans);
 		else
 			interpret_sarcastic(game, action);
 	}
+	else if (scream !== undefined) {
+		interpret_scream(game, playerIndex, scream);
+	}
 	team_elim(game);
 }
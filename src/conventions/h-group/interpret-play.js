@@ -74,6 +74,16 @@ export function interpret_play(game, action) {
 	if (game.level >= LEVEL.BASIC_CM && rank === 1)
 		check_ocm(game, action);
 
+	// A locked player with no clues and only critical cards to discard may have blind played out of anxiety, rather than into a finesse
+	if (game.level >= LEVEL.ANXIETY_PLAY && state.clue_tokens === 0 && state.strikes < 2 && common.thinksLocked(state, playerIndex)) {
+		const locked_discard = common.lockedDiscard(state, state.hands[playerIndex]);
+
+		if (common.thoughts[locked_discard.order].possibilities.every(p => state.isCritical(p))) {
+			logger.info(`${state.playerNames[playerIndex]} was locked with no clues and only critical cards, anxiety play`);
+			action.anxiety = true;
+		}
+	}
+
 	Basics.onPlay(this, action);
 
 	common.good_touch_elim(state);
@@ -3,8 +3,8 @@ import { ACTION_PRIORITY, LEVEL } from './h-constants.js';
 import { select_play_clue, determine_playable_card, order_1s, find_clue_value } from './action-helper.js';
 import { find_urgent_actions } from './urgent-actions.js';
 import { find_clues } from './clue-finder/clue-finder.js';
-import { determine_focus, minimum_clue_value, older_queued_finesse, stall_severity } from './hanabi-logic.js';
-import { cardValue, isTrash, visibleFind } from '../../basics/hanabi-util.js';
+import { determine_focus, find_gentlemans_target, minimum_clue_value, older_queued_finesse, stall_severity } from './hanabi-logic.js';
+import { cardValue, isTrash, unknownIdentities, visibleFind } from '../../basics/hanabi-util.js';
 
 import logger from '../../tools/logger.js';
 import { logCard, logClue, logHand, logPerformAction } from '../../tools/log.js';
@@ -156,6 +156,12 @@ export function take_action(game) {
 				return actions[0];
 		}
 	}
+	// Scream/shout discard for next player
+	else if (game.level >= LEVEL.LAST_RESORTS) {
+		const scream = urgent_actions[ACTION_PRIORITY.ONLY_SAVE].find(action => action.type === ACTION.DISCARD);
+		if (scream !== undefined)
+			return scream;
+	}
 
 	// Get a high value play clue involving next player (otherwise, next player can give it)
 	let best_play_clue, clue_value;
@@ -203,21 +209,36 @@ export function take_action(game) {
 		return { tableID, type: ACTION.DISCARD, target: discards[0].order };
 	}
 
+	// Gentleman's discard to someone else
+	if (game.level >= LEVEL.GENTLEMANS_DISCARD && state.clue_tokens !== 8) {
+		const gentlemans = find_gentlemans_discard(game, playable_cards);
+
+		if (gentlemans !== undefined)
+			return { tableID, type: ACTION.DISCARD, target: gentlemans.order };
+	}
+
 	// Unlock other player than next
 	if (urgent_actions[ACTION_PRIORITY.UNLOCK + actionPrioritySize].length > 0)
 		return urgent_actions[ACTION_PRIORITY.UNLOCK + actionPrioritySize][0];
 
-	// Forced discard if next player is locked
-	// TODO: Anxiety play
-	if (state.clue_tokens === 0 && common.thinksLocked(state, nextPlayerIndex))
+	// Discarding while loaded at 0 clues would be a scream/shout discard
+	const would_scream = game.level >= LEVEL.LAST_RESORTS && state.clue_tokens === 0 && common.thinksPlayables(state, state.ourPlayerIndex).length > 0;
+
+	// Forced discard if next player is locked, so that they don't have to anxiety play
+	if (state.clue_tokens === 0 && common.thinksLocked(state, nextPlayerIndex)) {
+		// The discard would be read as a scream or shout, so play instead
+		if (would_scream && best_playable_card !== undefined)
+			return { tableID, type: ACTION.PLAY, target: best_playable_card.order };
+
 		return trash_cards.length > 0 ? { tableID, type: ACTION.DISCARD, target: trash_cards[0].order } : discard_chop(game, state.ourPlayerIndex, tableID);
+	}
 
 	// Playing a connecting card or playing a 5
 	if (best_playable_card !== undefined && priority <= 3)
 		return { tableID, type: ACTION.PLAY, target: best_playable_card.order };
 
 	// Discard known trash at high pace, low clues
-	if (trash_cards.length > 0 && state.pace > state.numPlayers * 2 && state.clue_tokens <= 2)
+	if (trash_cards.length > 0 && state.pace > state.numPlayers * 2 && state.clue_tokens <= 2 && !would_scream)
 		return { tableID, type: ACTION.DISCARD, target: trash_cards[0].order };
 
 	// Give TCCM on a valuable card that moves chop to trash
@@ -291,6 +312,17 @@ export function take_action(game) {
 
 	// Either there are no clue tokens or the best play clue doesn't meet MCVP
 
+	// Blind play the last card of the deck if every card we haven't seen is playable
+	if (state.options?.deckPlays && state.cardsLeft === 1) {
+		const unseen = state.variant.suits.flatMap((_, suitIndex) => [1, 2, 3, 4, 5].map(rank => ({ suitIndex, rank })))
+			.filter(identity => unknownIdentities(state, me, identity) > 0);
+
+		if (unseen.length > 0 && unseen.every(identity => state.isPlayable(identity))) {
+			logger.highlight('yellow', 'performing deck play');
+			return { tableID, type: ACTION.PLAY, target: state.cardOrder + 1 };
+		}
+	}
+
 	// Discard known trash (no pace requirement)
 	if (trash_cards.length > 0 && !state.inEndgame() && state.clue_tokens < 8)
 		return { tableID, type: ACTION.DISCARD, target: trash_cards[0].order };
@@ -307,10 +339,8 @@ export function take_action(game) {
 		const validStall = stall_clues.find((clues, index) => (index <= severity && clues.length > 0))?.[0];
 
 		// 8 clues, must stall
-		if (state.clue_tokens === 8) {
-			return validStall ? Utils.clueToAction(validStall, tableID) :
-				{ type: ACTION.RANK, value: state.hands[nextPlayerIndex].at(-1).rank, target: nextPlayerIndex, tableID };
-		}
+		if (state.clue_tokens === 8)
+			return validStall ? Utils.clueToAction(validStall, tableID) : forced_stall(game);
 
 		if (validStall)
 			return Utils.clueToAction(validStall, tableID);
@@ -320,9 +350,104 @@ export function take_action(game) {
 	if (trash_cards.length > 0)
 		return { tableID, type: ACTION.DISCARD, target: trash_cards[0].order };
 
+	// No cards left to discard (e.g. in All or Nothing)
+	if (hand.length === 0)
+		return forced_stall(game);
+
+	// Baton discard instead of discarding chop
+	if (game.level >= LEVEL.GENTLEMANS_DISCARD) {
+		const useful_cards = hand.filter(c => c.clued).map(c => me.thoughts[c.order]).filter(card => {
+			const id = card.identity({ infer: true });
+			return id !== undefined && !state.isPlayable(id) && !isTrash(state, me, id, card.order);
+		});
+		const baton = find_gentlemans_discard(game, useful_cards);
+
+		if (baton !== undefined)
+			return { tableID, type: ACTION.DISCARD, target: baton.order };
+	}
+
+	// Anxiety play if every card is critical
+	if (game.level >= LEVEL.ANXIETY_PLAY && state.clue_tokens === 0 && state.strikes < 2 && common.chop(hand) === undefined) {
+		const locked_discard = common.lockedDiscard(state, hand);
+
+		if (me.thoughts[locked_discard.order].possibilities.every(p => state.isCritical(p))) {
+			const anxiety_play = me.anxietyPlay(state, hand);
+
+			if (anxiety_play !== undefined) {
+				logger.highlight('yellow', `performing anxiety play on slot ${hand.findIndex(c => c.order === anxiety_play.order) + 1}`);
+				return { tableID, type: ACTION.PLAY, target: anxiety_play.order };
+			}
+		}
+	}
+
 	return discard_chop(game, state.ourPlayerIndex, tableID);
 }
 
+/**
+ * Returns a known card that can be discarded so that someone else with the other copy on finesse position
+ * gets it instead, if one exists.
+ * @param {Game} game
+ * @param {Card[]} cards 	The cards to consider discarding.
+ */
+function find_gentlemans_discard(game, cards) {
+	const { common, me, state } = game;
+
+	return cards.find(card => {
+		const identity = card.identity({ infer: true });
+
+		if (identity === undefined || !state.hands[state.ourPlayerIndex].findOrder(card.order).clued)
+			return false;
+
+		// Don't discard cards that others are waiting on
+		if (common.waiting_connections.some(wc => wc.connections.some((conn, index) => index >= wc.conn_index && conn.card.order === card.order)))
+			return false;
+
+		// Other copies in our own hand would make it ambiguous
+		if (state.hands[state.ourPlayerIndex].some(c => c.order !== card.order && me.thoughts[c.order].matches(identity, { infer: true })))
+			return false;
+
+		const target = find_gentlemans_target(game, state.ourPlayerIndex, identity);
+
+		// The target would think someone else has it if there were multiple copies on finesse position
+		if (target === undefined || state.hands.some((hand, playerIndex) =>
+			playerIndex !== target.reacting && playerIndex !== state.ourPlayerIndex && common.find_finesse(hand)?.matches(identity)))
+			return false;
+
+		logger.highlight('yellow', `performing ${state.isPlayable(identity) ? 'gentleman\'s' : 'baton'} discard of ${logCard(identity)} to ${state.playerNames[target.reacting]}`);
+		return true;
+	});
+}
+
+/**
+ * Returns a rank clue to stall with when no other action is possible.
+ * If nobody else has any cards and empty clues aren't allowed, blind plays from finesse position instead.
+ * @param {Game} game
+ * @returns {PerformAction}
+ */
+function forced_stall(game) {
+	const { common, state, tableID } = game;
+
+	for (let offset = 1; offset < state.numPlayers; offset++) {
+		const target = (state.ourPlayerIndex + offset) % state.numPlayers;
+		const card = state.hands[target].at(-1);
+
+		if (card !== undefined)
+			return { type: ACTION.RANK, value: card.rank, target, tableID };
+	}
+
+	// Nobody else has any cards, so an empty clue is the only possible clue
+	if (state.options?.emptyClues)
+		return { type: ACTION.RANK, value: 1, target: (state.ourPlayerIndex + 1) % state.numPlayers, tableID };
+
+	const hand = state.hands[state.ourPlayerIndex];
+	const blind_play = common.find_finesse(hand) ?? hand[0];
+
+	if (blind_play === undefined)
+		throw new Error('No cards left in any hand and empty clues are not enabled, so there is no legal action.');
+
+	return { tableID, type: ACTION.PLAY, target: blind_play.order };
+}
+
 /**
  * Discards the card on chop for the given playerIndex.
  * @param {Game} game
@@ -42,7 +42,7 @@ function remove_finesse(game, waiting_connection) {
 		if (symmetric && connection.reacting !== target)
 			continue;
 
-		if (connection.type === 'finesse' && !card.superposition) {
+		if ((connection.type === 'finesse' || connection.type === 'bluff') && !card.superposition) {
 			card.finessed = false;
 			card.hidden = false;
 		}
@@ -99,6 +99,12 @@ function resolve_card_retained(game, waiting_connection) {
 		return finessed && finesse_index > me.thoughts[old_finesse.order].finesse_index;
 	});
 
+	// A bluffed player must blind play immediately, so the bluff can't have been meant
+	if (type === 'bluff') {
+		logger.info(`${state.playerNames[reacting]} didn't play into bluff, removing inference ${logCard(inference)}`);
+		return { remove: true, remove_finesse: true };
+	}
+
 	// Didn't play into finesse
 	if (type === 'finesse' || type === 'prompt' || new_finesse_queued) {
 		if (card.suitIndex !== -1 && state.play_stacks[card.suitIndex] + 1 !== card.rank) {
@@ -198,12 +204,24 @@ function resolve_card_played(game, waiting_connection) {
 	waiting_connection.conn_index = connections.findIndex((conn, index) =>
 		index > conn_index && state.hands[conn.reacting].findOrder(conn.card.order));
 
+	// The blind play didn't connect, so the focused card must be the bluff's inference
+	if (type === 'bluff') {
+		logger.info(`${state.playerNames[reacting]} played into bluff, confirming inference ${logCard(inference)}`);
+		return { demonstration: { card: focused_card, inferences: [inference], connections: connections.slice(conn_index + 1) }, remove: true };
+	}
+
 	if (type === 'finesse' || type === 'prompt') {
 		// Finesses demonstrate that a card must be playable and not save
 		const connection = game.last_actions[reacting].card;
 		const thoughts = common.thoughts[connection.order];
 
-		if (type === 'finesse' && connection.clued && (thoughts.focused || thoughts.inferred.every(i => state.isPlayable(i) || connection.matches(i)))) {
+		if (type === 'finesse' && game.last_actions[reacting].anxiety) {
+			logger.warn('connecting card was an anxiety play, not confirming finesse');
+
+			// The card still connected, so keep waiting on the rest of the connections without a demonstration
+			return { remove: waiting_connection.conn_index === -1 };
+		}
+		else if (type === 'finesse' && connection.clued && (thoughts.focused || thoughts.inferred.every(i => state.isPlayable(i) || connection.matches(i)))) {
 			logger.warn('connecting card was focused/known playable with a clue (stomped on), not confirming finesse');
 
 			if (connections[conn_index + 1]?.self) {
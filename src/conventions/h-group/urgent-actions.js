@@ -48,6 +48,38 @@ function find_unlock(game, target) {
 	return;
 }
 
+/**
+ * Looks for a scream discard (discarding chop) or shout discard (discarding known trash) to make the next player chop move.
+ * This is only possible if everyone knows that we could have played instead, and we only scream if our chop can't be critical.
+ * @param {Game} game
+ * @returns {PerformAction | undefined}	The discard to perform if possible, otherwise undefined.
+ */
+function find_scream(game) {
+	const { common, me, state, tableID } = game;
+	const hand = state.hands[state.ourPlayerIndex];
+
+	if (common.thinksPlayables(state, state.ourPlayerIndex).length === 0)
+		return;
+
+	const trash = common.thinksTrash(state, state.ourPlayerIndex).filter(c => !common.thoughts[c.order].inferred.some(i => state.isPlayable(i)));
+	if (trash.length > 0) {
+		logger.highlight('yellow', 'performing shout discard');
+		return { tableID, type: ACTION.DISCARD, target: trash[0].order };
+	}
+
+	const chop = common.chop(hand);
+	if (chop !== undefined) {
+		// Screaming must not risk losing a critical card of our own
+		if (me.thoughts[chop.order].possible.some(i => state.isCritical(i))) {
+			logger.warn('not performing scream discard, chop could be critical');
+			return;
+		}
+
+		logger.highlight('yellow', 'performing scream discard');
+		return { tableID, type: ACTION.DISCARD, target: chop.order };
+	}
+}
+
 /**
  * Looks for a play clue that can be given to avoid giving a save clue to the target.
  * @param {Game} game
@@ -247,6 +279,15 @@ export function find_urgent_actions(game, play_clues, save_clues, fix_clues, sta
 				}
 			}
 
+			// With no clues, the next player can only be saved by a scream or shout discard
+			if (game.level >= LEVEL.LAST_RESORTS && state.clue_tokens === 0 && i === 1) {
+				const scream = find_scream(game);
+				if (scream !== undefined) {
+					urgent_actions[PRIORITY.ONLY_SAVE + nextPriority].push(scream);
+					continue;
+				}
+			}
+
 			// Check if TCCM is available
 			if (game.level >= LEVEL.TEMPO_CLUES && state.numPlayers > 2 && (!save.playable || state.clue_tokens === 1)) {
 				let tccm = false;
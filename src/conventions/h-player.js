@@ -1,6 +1,6 @@
 import { Hand } from '../basics/Hand.js';
 import { Player } from '../basics/Player.js';
-import { cardValue } from '../basics/hanabi-util.js';
+import { cardValue, unknownIdentities } from '../basics/hanabi-util.js';
 import { CLUE } from '../constants.js';
 
 import * as Utils from '../tools/util.js';
@@ -115,4 +115,32 @@ export class HGroup_Player extends Player {
 
 		return (card && !ignoreOrders.includes(card.order)) ? card : undefined;
 	}
+
+	/**
+	 * Finds the best blind play in a locked hand (i.e. an anxiety play), or undefined if no card could be playable.
+	 * Prefers the card most likely to be playable (weighting each identity by its unseen copies),
+	 * breaking ties using the finesse position and then the leftmost card.
+	 * @param {State} state
+	 * @param {Hand} hand
+	 */
+	anxietyPlay(state, hand) {
+		const play_percents = Array.from(hand.map(c => {
+			const { possible } = this.thoughts[c.order];
+			const copies = possible.map(p => ({ playable: state.isPlayable(p), unseen: Math.max(unknownIdentities(state, this, p), 0) }));
+			const total = copies.reduce((sum, { unseen }) => sum + unseen, 0);
+			const percent = total === 0 ? 0 : copies.reduce((sum, { playable, unseen }) => sum + (playable ? unseen : 0), 0) / total;
+
+			return { card: c, percent };
+		}));
+
+		const max_percent = Math.max(...play_percents.map(({ percent }) => percent));
+
+		if (max_percent === 0)
+			return;
+
+		const most_playable = play_percents.filter(({ percent }) => percent === max_percent);
+		const finesse = this.find_finesse(hand);
+
+		return (most_playable.find(({ card }) => card.order === finesse?.order) ?? most_playable[0]).card;
+	}
 }
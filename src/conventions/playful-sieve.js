@@ -6,14 +6,34 @@ import { take_action } from './playful-sieve/take-action.js';
 import { update_turn } from './playful-sieve/update-turn.js';
 
 import * as Utils from '../tools/util.js';
+import { variantRegexes } from '../variants.js';
 
 /**
  * @typedef {import('../variants.js').Variant} Variant
  * @typedef {import('../basics/State.js').State} State
  * @typedef {import('../types-live.js').TableOptions} TableOptions
+ * @typedef {import('../basics/Game.js').Capabilities} Capabilities
  */
 
 export default class PlayfulSieve extends Game {
+	/**
+	 * Playful Sieve is a 2-player convention that was designed without special suits in mind.
+	 * @type {Capabilities}
+	 */
+	static capabilities = {
+		numPlayers: [2],
+		partialSuits: {
+			'white suits': variantRegexes.whitish,
+			'rainbow suits': variantRegexes.rainbowish,
+			'brown suits': variantRegexes.brownish,
+			'pink suits': variantRegexes.pinkish,
+			'dark suits': variantRegexes.dark,
+			'prism suits': variantRegexes.prism
+		},
+		partialRules: { chimneys: 'chimneys', funnels: 'funnels', specialRankDeceptive: 'deceptive ranks' },
+		unsupportedOptions: { ...Game.capabilities.unsupportedOptions, allOrNothing: 'All or Nothing' }
+	};
+
 	convention_name = 'PlayfulSieve';
 	interpret_clue = interpret_clue;
 	interpret_discard = interpret_discard;
@@ -37,6 +57,10 @@ export default class PlayfulSieve extends Game {
 		const blank = new PlayfulSieve(this.tableID, this.state.createBlank(), this.in_progress);
 		blank.notes = this.notes;
 		blank.rewinds = this.rewinds;
+		blank.rewindTurns = this.rewindTurns;
+		blank.sendCmd = this.sendCmd;
+		blank.moveDelay = this.moveDelay;
+		blank.clock = this.clock;
 		blank.locked_shifts = this.locked_shifts;
 		return blank;
 	}
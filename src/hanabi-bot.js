@@ -1,17 +1,61 @@
 // @ts-nocheck
+import * as http from 'http';
 import * as https from 'https';
 import WebSocket from 'ws';
 import * as dotenv from 'dotenv';
 dotenv.config();
 
-import { handle } from './command-handler.js';
+import { Session } from './command-handler.js';
 import { initConsole } from './tools/console.js';
+import { SettingsStore } from './tools/settings-store.js';
 import * as Utils from './tools/util.js';
 
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
 /**
- * Logs in to hanab.live and returns the session cookie to authenticate future requests.
+ * Returns the server to log in to and the websocket URL to connect to.
+ * 
+ * These can be set with the 'server' and 'ws' arguments, or the HANABI_SERVER and HANABI_WS_URL environment variables.
+ * By default, the websocket URL is the /ws path of the server (using ws:// for http:// servers).
  */
-function connect(bot_index = '') {
+function getEndpoints(args) {
+	const serverStr = args.server ?? process.env.HANABI_SERVER ?? 'https://hanab.live';
+
+	let server;
+	try {
+		server = new URL(serverStr);
+	}
+	catch (err) {
+		throw new Error(`Invalid server URL "${serverStr}". Please provide a URL like https://hanab.live or http://localhost:8080.`);
+	}
+
+	if (server.protocol !== 'https:' && server.protocol !== 'http:')
+		throw new Error(`Unsupported server protocol "${server.protocol}". Please use http or https.`);
+
+	if (server.protocol === 'http:' && !LOCAL_HOSTS.includes(server.hostname))
+		console.warn(`Warning: logging in to ${server.host} over plain http, so the password will not be encrypted.`);
+
+	const wsStr = args.ws ?? process.env.HANABI_WS_URL ?? `${server.protocol === 'https:' ? 'wss' : 'ws'}://${server.host}/ws`;
+
+	let ws;
+	try {
+		ws = new URL(wsStr);
+	}
+	catch (err) {
+		throw new Error(`Invalid websocket URL "${wsStr}". Please provide a URL like wss://hanab.live/ws or ws://localhost:8080/ws.`);
+	}
+
+	if (ws.protocol !== 'wss:' && ws.protocol !== 'ws:')
+		throw new Error(`Unsupported websocket protocol "${ws.protocol}". Please use ws or wss.`);
+
+	return { server, ws };
+}
+
+/**
+ * Logs in to the server and returns the session cookie to authenticate future requests.
+ * @param {URL} server
+ */
+function connect(server, bot_index = '') {
 	const u_field = `HANABI_USERNAME${bot_index}`, p_field = `HANABI_PASSWORD${bot_index}`;
 
 	if (process.env[u_field] === undefined || process.env[p_field] === undefined) {
@@ -23,8 +67,8 @@ function connect(bot_index = '') {
 	const data = `username=${username}&password=${password}&version=bot`;
 
 	const options = {
-		hostname: 'hanab.live',
-		port: 443,
+		hostname: server.hostname,
+		port: server.port || (server.protocol === 'https:' ? 443 : 80),
 		path: '/login',
 		method: 'POST',
 		headers: {
@@ -34,22 +78,33 @@ function connect(bot_index = '') {
 	};
 
 	return new Promise((resolve, reject) => {
-		// Send login request to hanab.live
-		const req = https.request(options, (res) => {
+		// Send login request to the server
+		const req = (server.protocol === 'https:' ? https : http).request(options, (res) => {
 			console.log(`Request status code: ${res.statusCode}`);
 
-			const cookie = res.headers['set-cookie'][0];
-			if (cookie == null) {
-				reject('Failed to parse cookie from auth headers.');
-				return;
-			}
-
-			res.on('data', (data) => process.stdout.write(data));
-			resolve(cookie);
+			let body = '';
+			res.on('data', (data) => body += data);
+			res.on('end', () => {
+				if (res.statusCode !== 200) {
+					reject(new Error(`Failed to log in to ${server.host} as ${process.env[u_field]} (status code ${res.statusCode}): ${body.trim() || 'no response'}`));
+					return;
+				}
+
+				const cookie = res.headers['set-cookie']?.[0];
+				if (cookie === undefined) {
+					reject(new Error(`Failed to log in to ${server.host}, as the response did not contain a session cookie.`));
+					return;
+				}
+
+				if (body !== '')
+					process.stdout.write(body);
+
+				resolve(cookie);
+			});
 		});
 
 		req.on('error', (error) => {
-			reject(`Request error: ${error}`);
+			reject(new Error(`Failed to connect to ${server.host}: ${error.message}`));
 			return;
 		});
 
@@ -59,30 +114,129 @@ function connect(bot_index = '') {
 	});
 }
 
+/**
+ * Returns the suffixes of the accounts to log in as.
+ * 
+ * The 'index' argument can be a single suffix (e.g. index=2 for HANABI_USERNAME2), a comma-separated list (e.g. index=1,2),
+ * or 'all' for every HANABI_USERNAME environment variable. By default, only HANABI_USERNAME is used.
+ * @param {string} [index]
+ */
+function getBotIndices(index = '') {
+	if (index === 'all') {
+		const indices = Object.keys(process.env).map(key => key.match(/^HANABI_USERNAME(\d*)$/)?.[1]).filter(suffix => suffix !== undefined);
+
+		if (indices.length === 0)
+			throw new Error('No HANABI_USERNAME environment variables found.');
+
+		return indices.sort((a, b) => Number(a || 0) - Number(b || 0));
+	}
+
+	const indices = index.split(',').map(suffix => suffix.trim());
+
+	if (new Set(indices).size !== indices.length)
+		throw new Error(`The same account was given more than once in index=${index}.`);
+
+	return indices;
+}
+
 async function main() {
 	const args = Utils.parse_args();
 
-	let cookie = connect(args.index);
+	let endpoints, bot_indices, store;
+	const cookies = [];
 
 	// Connect to server using credentials
 	try {
-		cookie = await cookie;
+		endpoints = getEndpoints(args);
+		bot_indices = getBotIndices(args.index);
+
+		// Settings chosen for tables and by users are saved here, so they are remembered after restarting
+		store = new SettingsStore(args.settings ?? process.env.HANABI_SETTINGS ?? 'bot-settings.json');
+
+		for (const bot_index of bot_indices)
+			cookies.push(await connect(endpoints.server, bot_index));
 	}
 	catch (error) {
-		console.error(error);
+		console.error(error.message);
+		process.exitCode = 1;
 		return;
 	}
 
-	// Establish websocket
-	const ws = new WebSocket('wss://hanab.live/ws', { headers: { Cookie: cookie } });
+	const sessions = bot_indices.map(() => new Session());
+
+	// Let the sessions coordinate commands meant for all bots at a table
+	for (const session of sessions) {
+		session.group = sessions;
+		session.store = store;
+	}
+
+	initConsole(sessions);
 
-	// Pass the websocket to utils
-	Utils.globalModify({ ws });
-	initConsole();
+	for (const [i, session] of sessions.entries())
+		openWebsocket(endpoints, cookies[i], bot_indices[i], session);
+}
 
-	ws.on('open', () => console.log('Established websocket connection!'));
-	ws.on('error', (err) => console.log('Websocket error:', err));
-	ws.on('close', (msg) => console.log(`Websocket closed from server. ${msg}`));
+const MIN_RECONNECT_DELAY = 1000, MAX_RECONNECT_DELAY = 60000, MAX_RECONNECT_ATTEMPTS = 10;
+
+/**
+ * Opens a websocket to the server, reconnecting with exponential backoff whenever it closes.
+ * If the session cookie is rejected (e.g. it expired), the bot logs in again before reconnecting.
+ * 
+ * The bot exits if it can't reconnect after MAX_RECONNECT_ATTEMPTS attempts in a row,
+ * or if the server still rejects it after logging in again (e.g. the password was changed).
+ * @param {{server: URL, ws: URL}} endpoints
+ * @param {string} cookie
+ * @param {string} bot_index
+ * @param {Session} session
+ * @param {number} attempt 		The number of failed connection attempts in a row.
+ * @param {boolean} relogged 	Whether the bot logged in again before this attempt.
+ */
+function openWebsocket(endpoints, cookie, bot_index, session, attempt = 0, relogged = false) {
+	const ws = new WebSocket(endpoints.ws.href, { headers: { Cookie: cookie } });
+	let expired = false;
+
+	session.ws = ws;
+
+	ws.on('open', () => {
+		console.log('Established websocket connection!');
+		attempt = 0;
+		relogged = false;
+	});
+
+	ws.on('error', (err) => {
+		console.log('Websocket error:', err.message);
+
+		if (/Unexpected server response: 40[13]/.test(err.message))
+			expired = true;
+	});
+
+	ws.on('close', (code) => {
+		if (expired && relogged) {
+			console.error(`The server at ${endpoints.ws.host} still rejected the connection after logging in again. Please check the bot's credentials.`);
+			process.exit(1);
+		}
+
+		if (attempt >= MAX_RECONNECT_ATTEMPTS) {
+			console.error(`Failed to reconnect to ${endpoints.ws.host} after ${MAX_RECONNECT_ATTEMPTS} attempts, giving up.`);
+			process.exit(1);
+		}
+
+		const delay = Math.min(MIN_RECONNECT_DELAY * 2 ** attempt, MAX_RECONNECT_DELAY);
+		console.log(`Websocket closed from server (code ${code}). Reconnecting in ${delay / 1000}s...`);
+
+		setTimeout(async () => {
+			if (expired) {
+				try {
+					cookie = await connect(endpoints.server, bot_index);
+				}
+				catch (error) {
+					console.error(error.message);
+				}
+			}
+
+			openWebsocket(endpoints, cookie, bot_index, session, attempt + 1, expired);
+		}, delay);
+	});
 
 	ws.on('message', (data) => {
 		// Websocket messages are in the format: commandName {"field_name":"value"}
@@ -90,10 +244,7 @@ async function main() {
 		const ind = str.indexOf(' ');
 		const [command, arg] = [str.slice(0, ind), str.slice(ind + 1)];
 
-		// Handle the command if there's a registered handler function for it
-		if (handle[command] !== undefined) {
-			handle[command](JSON.parse(arg));
-		}
+		session.dispatch(command, JSON.parse(arg));
 	});
 }
 
@@ -0,0 +1,17 @@
+import { LocalServer } from './tools/local-server.js';
+import * as Utils from './tools/util.js';
+
+async function main() {
+	const { port: portStr = '8080', seed = '0' } = Utils.parse_args();
+	const port = Number(portStr);
+
+	if (!Number.isInteger(port) || port < 0)
+		throw new Error(`Invalid port (${portStr}). Please enter a non-negative integer.`);
+
+	const server = new LocalServer({ seed });
+	const actualPort = await server.listen(port);
+
+	console.log(`Local server listening on http://localhost:${actualPort} (websocket at ws://localhost:${actualPort}/ws), dealing seed ${seed}.`);
+}
+
+main();
@@ -8,6 +8,9 @@ import { ACTION, END_CONDITION } from './constants.js';
 import { getShortForms, getVariant } from './variants.js';
 
 import { initConsole } from './tools/console.js';
+import { logCard, logClue } from './tools/log.js';
+import logger from './tools/logger.js';
+import { validateReplay } from './tools/replay-validation.js';
 import * as Utils from './tools/util.js';
 import { State } from './basics/State.js';
 
@@ -16,6 +19,18 @@ const conventions = {
 	PlayfulSieve
 };
 
+/**
+ * @typedef {import('./basics/Game.js').Game} Game
+ * @typedef {import('./types.js').Identity} Identity
+ * @typedef {import('./types.js').PerformAction} PerformAction
+ *
+ * @typedef AnalysisRow
+ * @property {number} turn
+ * @property {string} suggested
+ * @property {string} actual
+ * @property {boolean} agrees
+ */
+
 /**
  * Fetches a replay from hanab.live, given its id.
  * @param {string} id
@@ -48,37 +63,63 @@ function fetchReplay(id) {
 }
 
 async function main() {
-	const { id, file, level, index, convention = 'HGroup' } = Utils.parse_args();
-	initConsole();
+	const args = Utils.parse_args();
+	const { id, file, index, analyse, output } = args;
+
+	// Analysis runs to completion without any interaction
+	if (analyse === undefined)
+		initConsole();
+	else
+		logger.setLevel(logger.LEVELS.ERROR);
 
 	let game_data;
 
 	if (id !== undefined && file !== undefined)
 		throw new Error('Both id and file provided, only provide one.');
 
-	try {
-		game_data = id !== undefined ? await fetchReplay(id) : JSON.parse(fs.readFileSync(file, 'utf8'));
+	if (id === undefined && file === undefined)
+		throw new Error('No replay provided, please provide either an id or a file.');
+
+	if (id !== undefined) {
+		try {
+			game_data = await fetchReplay(id);
+		}
+		catch (err) {
+			throw new Error(err);
+		}
 	}
-	catch (err) {
-		throw new Error(err);
+	else {
+		try {
+			game_data = JSON.parse(fs.readFileSync(file, 'utf8'));
+		}
+		catch (err) {
+			throw new Error(`Unable to read replay file ${file}: ${err.message}`);
+		}
 	}
 
 	let order = 0;
 
-	const { players, deck, actions, options = {} } = game_data;
-	const variant = await getVariant(options?.variant ?? 'No Variant');
+	const { players, deck, actions, options = {}, seats } = game_data;
+
+	// Replays from hanab.live may use variants newer than the local catalogue, while local files are replayed offline
+	const variant = await getVariant(args.variant ?? options.variant ?? 'No Variant', { remote: id !== undefined });
 	const ourPlayerIndex = Number(index ?? 0);
 
-	if (ourPlayerIndex < 0 || ourPlayerIndex >= players.length)
+	validateReplay(game_data, variant);
+
+	if (!Number.isInteger(ourPlayerIndex) || ourPlayerIndex < 0 || ourPlayerIndex >= players.length)
 		throw new Error(`Replay only has ${players.length} players!`);
 
+	// Self-play exports record each player's conventions, which are used unless overridden
+	const { convention = seats?.[ourPlayerIndex].convention ?? 'HGroup', level = seats?.[ourPlayerIndex].level ?? 1 } = args;
+
 	if (!(convention in conventions))
 		throw new Error(`Convention ${convention} is not supported.`);
 
-	await getShortForms(variant);
+	await getShortForms(variant, { remote: id !== undefined });
 
 	const state = new State(players, ourPlayerIndex, variant, options);
-	const game = new conventions[/** @type {keyof typeof conventions} */(convention)](Number(id), state, false, Number(level ?? 1));
+	const game = new conventions[/** @type {keyof typeof conventions} */(convention)](Number(id), state, false, Number(level));
 
 	Utils.globalModify({ game });
 
@@ -98,13 +139,24 @@ async function main() {
 		if (turn !== 0)
 			game.handle_action({ type: 'turn', num: turn, currentPlayerIndex }, true);
 
-		game.handle_action(Utils.performToAction(game.state, action, currentPlayerIndex, deck), true);
-
-		if ((action.type === ACTION.PLAY || action.type === ACTION.DISCARD) && order < deck.length) {
+		const draw = () => {
 			const { suitIndex, rank } = (currentPlayerIndex !== state.ourPlayerIndex) ? deck[order] : { suitIndex: -1, rank: -1 };
 			game.handle_action({ type: 'draw', playerIndex: currentPlayerIndex, order, suitIndex, rank }, true);
 			order++;
-		}
+		};
+
+		const performed = Utils.performToAction(game.state, action, currentPlayerIndex, deck);
+
+		// Deck plays draw the last card of the deck into hand before playing it
+		const deck_play = action.type === ACTION.PLAY && action.target === order;
+
+		if (deck_play)
+			draw();
+
+		game.handle_action(performed, true);
+
+		if ((action.type === ACTION.PLAY || action.type === ACTION.DISCARD) && !deck_play && order < deck.length)
+			draw();
 
 		if (action.type === ACTION.PLAY && game.state.strikes === 3)
 			game.handle_action({ type: 'gameOver', playerIndex: currentPlayerIndex, endCondition: END_CONDITION.STRIKEOUT, votes: -1 });
@@ -116,6 +168,110 @@ async function main() {
 	if (actions.at(-1).type !== 'gameOver')
 		game.handle_action({ type: 'gameOver', playerIndex: currentPlayerIndex, endCondition: END_CONDITION.NORMAL, votes: -1 });
 
+	if (analyse !== undefined) {
+		const { rows, rewinds } = analyse_replay(game, actions, deck);
+		const table = format_analysis(rows);
+
+		if (output !== undefined) {
+			fs.writeFileSync(output, table);
+			console.log(`Analysis written to ${output}`);
+		}
+		else {
+			console.log(table);
+		}
+
+		const disagreements = rows.filter(row => !row.agrees).length;
+		console.log(`${state.playerNames[ourPlayerIndex]} agreed with the bot on ${rows.length - disagreements}/${rows.length} turns.`);
+		console.log(`The bot rewound ${game.rewinds} time${game.rewinds === 1 ? '' : 's'} during the game and ${rewinds} time${rewinds === 1 ? '' : 's'} during the analysis.`);
+	}
+}
+
+/**
+ * Navigates to every turn where the simulated player acted and compares the action they took with the bot's suggestion.
+ * @param {Game} game
+ * @param {Pick<PerformAction, 'type' | 'target' | 'value'>[]} actions
+ * @param {Identity[]} deck
+ * @returns {{ rows: AnalysisRow[], rewinds: number }} 	The rows, and the number of rewinds caused by the analysis itself.
+ */
+function analyse_replay(game, actions, deck) {
+	const { ourPlayerIndex, numPlayers } = game.state;
+	const { rewinds, rewindTurns } = game;
+
+	/** @type {AnalysisRow[]} */
+	const rows = [];
+	let analysis_rewinds = 0;
+
+	for (let actionIndex = ourPlayerIndex; actionIndex < actions.length; actionIndex += numPlayers) {
+		const action = actions[actionIndex];
+
+		if (action.type === ACTION.END_GAME)
+			break;
+
+		const turn = actionIndex + 1;
+
+		/** @type {PerformAction} */
+		let suggested_action;
+
+		// Each navigation replays the game from the start, so rewinds from earlier navigations shouldn't count towards the limit
+		game.rewinds = rewinds;
+		game.rewindTurns = rewindTurns.slice();
+
+		logger.wrapLevel(logger.LEVELS.ERROR, () => {
+			game.navigate(turn);
+			suggested_action = game.take_action(game);
+		});
+
+		analysis_rewinds += game.rewinds - rewinds;
+
+		const suggested = describe_action(game, suggested_action, deck);
+		const actual = describe_action(game, action, deck);
+
+		rows.push({ turn, suggested, actual, agrees: suggested === actual });
+	}
+
+	// Keep only the rewinds from the game itself
+	game.rewinds = rewinds;
+	game.rewindTurns = rewindTurns;
+
+	return { rows, rewinds: analysis_rewinds };
+}
+
+/**
+ * Returns a readable description of an action taken from the current state, used to compare suggested and actual actions.
+ * @param {Game} game
+ * @param {Pick<PerformAction, 'type' | 'target' | 'value'>} action
+ * @param {Identity[]} deck
+ */
+function describe_action(game, action, deck) {
+	const { state } = game;
+	const { type, target } = action;
+
+	switch (type) {
+		case ACTION.PLAY:
+		case ACTION.DISCARD: {
+			const slot = state.hands[state.ourPlayerIndex].findIndex(card => card.order === target) + 1;
+			return `${type === ACTION.PLAY ? 'Play' : 'Discard'} ${slot === 0 ? 'from deck' : `slot ${slot}`} (${logCard(deck[target])})`;
+		}
+		case ACTION.COLOUR:
+		case ACTION.RANK:
+			return `Clue ${logClue(/** @type {PerformAction} */ (action))}`;
+
+		default:
+			return JSON.stringify(action);
+	}
+}
+
+/**
+ * Formats the analysis as a markdown table, marking the turns where the suggested and actual actions differ.
+ * @param {AnalysisRow[]} rows
+ */
+function format_analysis(rows) {
+	const lines = ['| Turn | Suggested | Actual | |', '| --- | --- | --- | --- |'];
+
+	for (const { turn, suggested, actual, agrees } of rows)
+		lines.push(`| ${turn} | ${suggested} | ${actual} | ${agrees ? '' : '✗'} |`);
+
+	return lines.join('\n') + '\n';
 }
 
 main();
@@ -1,20 +1,39 @@
 import * as fs from 'fs';
+import * as path from 'path';
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
 
 import HGroup from './conventions/h-group.js';
 import PlayfulSieve from './conventions/playful-sieve.js';
 
 import { ACTION, END_CONDITION, MAX_H_LEVEL } from './constants.js';
 import { State } from './basics/State.js';
-import { cardCount, getVariant } from './variants.js';
+import { getShortForms, getVariant } from './variants.js';
 import * as Utils from './tools/util.js';
+import { createDeck, shuffle } from './tools/deck.js';
 
+import { REPORT_FORMATS, compareRows, formatReport } from './tools/report.js';
 import logger from './tools/logger.js';
 
 /**
+ * @typedef {import('./basics/Game.js').Game} Game
  * @typedef {import('./types.js').Identity} Identity
  * @typedef {import('./types.js').Action} Action
  * @typedef {import('./types.js').PerformAction} PerformAction
  * @typedef {import('./variants.js').Variant} Variant
+ * @typedef {import('./types-live.js').TableOptions} TableOptions
+ * 
+ * @typedef SimulationConfig
+ * @property {string[]} players
+ * @property {Variant} variant
+ * @property {TableOptions} options
+ * @property {Seat[]} seats
+ * @property {string} seedDir
+ * 
+ * @typedef {import('./tools/report.js').SeedRow} SeedRow
+ *
+ * @typedef Seat
+ * @property {keyof typeof conventions} convention
+ * @property {number} level
  */
 
 const conventions = /** @type {const} */ ({
@@ -24,29 +43,36 @@ const conventions = /** @type {const} */ ({
 
 const playerNames = ['Alice', 'Bob', 'Cathy', 'Donald', 'Emily', 'Fred'];
 
-const noVar = /** @type {Variant} */ ({
-	"id": 0,
-	"name": "No Variant",
-	"suits": ["Red", "Yellow", "Green", "Blue", "Purple"]
-});
+/**
+ * Table options that can be enabled with command-line flags (e.g. "emptyClues" or "deckPlays=true").
+ */
+const tableOptions = /** @type {const} */ (['oneLessCard', 'oneExtraCard', 'emptyClues', 'deckPlays', 'allOrNothing', 'detrimentalCharacters']);
+
+/**
+ * All or Nothing games don't end when the deck runs out, so a game that has taken this many turns per point of the maximum score
+ * is treated as a softlock. Clue tokens should stop this from being reached, but it guarantees that a buggy bot can't stall forever.
+ */
+const STALL_TURNS_PER_POINT = 4;
 
 async function main() {
-	const { convention = 'HGroup', level: lStr = '1', games: gStr = '10', players: pStr = '2', seed = '0', variant: vStr = 'No Variant' } = Utils.parse_args();
-	const variant = await getVariant(vStr);
+	const args = Utils.parse_args();
+	const { convention = 'HGroup', level: lStr = '1', seats, games: gStr = '10', seed = '0', variant: vStr = 'No Variant', threads: tStr = '1', report, compare, baseline, top: topStr = '10' } = args;
 
-	if (conventions[convention] === undefined)
-		throw new Error(`Convention ${convention} is not supported.`);
+	if (seats !== undefined && (args.convention !== undefined || args.level !== undefined))
+		throw new Error('Both seats and convention/level provided, only provide one.');
+
+	// Mixed tables determine the number of players
+	const seatSpecs = seats?.split(',') ?? [];
+	const pStr = args.players ?? (seatSpecs.length > 1 ? `${seatSpecs.length}` : '2');
+
+	// Multiple variants can be provided as a comma-separated list
+	const variants = await Promise.all(vStr.split(',').map(name => getVariant(name.trim())));
 
 	const numPlayers = Number(pStr);
 
 	if (!Number.isInteger(numPlayers) || numPlayers < 2 || numPlayers > 6)
 		throw new Error(`Invalid number of players (${pStr}). Please enter a number from 2-6.`);
 
-	const level = Number(lStr);
-
-	if (convention === 'HGroup' && (!Number.isInteger(level) || level < 1 || level > MAX_H_LEVEL))
-		throw new Error(`Invalid level provided (${lStr}). Please enter a number from 1-${MAX_H_LEVEL}.`);
-
 	const games = Number(gStr);
 
 	if (!Number.isInteger(games) || games < 1)
@@ -57,73 +83,327 @@ async function main() {
 	if (!Number.isInteger(seedNum) && games !== 1)
 		throw new Error(`A non-integer seed (${seed}) only supports games=1.`);
 
-	/** @type {Identity[]} */
-	const deck = [];
+	/** @type {TableOptions} */
+	const options = {};
 
-	for (let suitIndex = 0; suitIndex < variant.suits.length; suitIndex++) {
-		for (let rank = 1; rank <= 5; rank++) {
-			const identity = Object.freeze({ suitIndex, rank });
+	for (const option of tableOptions) {
+		if (args[option] !== undefined && args[option] !== 'false')
+			options[option] = true;
+	}
 
-			for (let i = 0; i < cardCount(variant, identity); i++)
-				deck.push(identity);
-		}
+	if (options.oneLessCard && options.oneExtraCard)
+		throw new Error('Only one of oneLessCard and oneExtraCard can be provided.');
+
+	if (options.detrimentalCharacters)
+		throw new Error('Detrimental characters are not supported in self-play.');
+
+	const threads = Number(tStr);
+
+	if (!Number.isInteger(threads) || threads < 1)
+		throw new Error(`Invalid number of threads (${tStr}). Please enter a positive integer.`);
+
+	if (report !== undefined && !REPORT_FORMATS.includes(/** @type {any} */ (report)))
+		throw new Error(`Invalid report format (${report}). Please use one of ${REPORT_FORMATS.join(', ')}.`);
+
+	if (compare !== undefined && baseline !== undefined)
+		throw new Error('Both compare and baseline provided, only provide one.');
+
+	const top = Number(topStr);
+
+	if (!Number.isInteger(top) || top < 0)
+		throw new Error(`Invalid number of top seeds (${topStr}). Please enter a non-negative integer.`);
+
+	// The configurations to play, with an optional second one for comparing against
+	const runs = [parse_seats(seats ?? `${convention}:${lStr}`, numPlayers)];
+
+	if (compare !== undefined)
+		runs.push(parse_seats(compare, numPlayers));
+
+	for (const { seats } of runs) {
+		if (options.allOrNothing && seats.some(seat => seat.convention === 'PlayfulSieve'))
+			throw new Error('Playful Sieve does not support All or Nothing, as it cannot handle running out of cards.');
 	}
 
+	// Make sure the seeds of each configuration are saved separately
+	const labels = runs.map(run => run.label);
+	if (labels[0] === labels[1])
+		labels[1] += ' (2)';
+
+	/** @type {SeedRow[]} */
+	const baselineRows = baseline !== undefined ? JSON.parse(fs.readFileSync(baseline, 'utf8')).seeds : undefined;
+
 	logger.setLevel(logger.LEVELS.ERROR);
 
-	fs.mkdir('./seeds', { recursive: true }, (err) => console.log(err));
+	const seeds = (!Number.isInteger(seedNum) || games === 1) ? [seed] : Utils.range(seedNum, seedNum + games).map(String);
 
-	if (!Number.isInteger(seedNum) || games === 1) {
-		const players = playerNames.slice(0, numPlayers);
-		const shuffled = shuffle(deck, seed);
+	/** @type {{ label: string, variant: Variant, perfect: number, average: number }[]} */
+	const summaries = [];
 
-		const { score, result, actions } =
-			simulate_game(players, shuffled, /** @type {keyof typeof conventions} */ (convention), level);
+	for (const variant of variants) {
+		await getShortForms(variant);
 
-		fs.writeFileSync(`seeds/${seed}.json`, JSON.stringify({ players, deck: shuffled, actions }));
-		console.log(`seed ${seed}, score: ${score}/${variant.suits.length * 5}, ${result}`);
-	}
-	else {
-		/** @type {Record<string, { score: number, i: number }[]>} */
-		const results = {};
+		const maxScore = variant.suits.length * 5;
+
+		// Keep the seeds of each variant separate when playing several
+		const variantDir = variants.length > 1 ? `seeds/${variant.name}` : 'seeds';
+
+		if (variants.length > 1)
+			console.log(`======== ${variant.name} ========`);
+
+		/** @type {SeedRow[][]} */
+		const runOutcomes = [];
+		const seedDirs = [];
+
+		for (const [runIndex, { seats }] of runs.entries()) {
+			const label = labels[runIndex];
 
-		for (let i = seedNum; i < seedNum + games; i++) {
-			const players = playerNames.slice(0, numPlayers);
-			const shuffled = shuffle(deck, `${i}`);
-			const { score, result, actions } =
-				simulate_game(players, shuffled, /** @type {keyof typeof conventions} */ (convention), level);
+			/** @type {SimulationConfig} */
+			const config = {
+				players: playerNames.slice(0, numPlayers),
+				variant,
+				options,
+				seats,
+				seedDir: runs.length > 1 ? `${variantDir}/${label.replace(/\W+/g, '-')}` : variantDir
+			};
 
-			fs.writeFileSync(`seeds/${i}.json`, JSON.stringify({ players, deck: shuffled, actions }));
+			fs.mkdirSync(config.seedDir, { recursive: true });
 
-			results[result] ||= [];
-			results[result].push({ score, i });
+			if (runs.length > 1)
+				console.log(`-------- ${label} --------`);
 
-			console.log(`seed ${i}, score: ${score}/${variant.suits.length * 5}, ${result}`);
+			/** @param {SeedRow} outcome */
+			const log_outcome = ({ seed, score, result }) => console.log(`seed ${seed}, score: ${score}/${maxScore}, ${result}`);
+
+			const outcomes = threads === 1 ?
+				seeds.map(seed => {
+					const outcome = play_seed(seed, config);
+					log_outcome(outcome);
+					return outcome;
+				}) :
+				await play_seeds_parallel(seeds, config, Math.min(threads, seeds.length), log_outcome);
+
+			// Workers may finish in any order, so sort to keep the summary deterministic
+			outcomes.sort((a, b) => Number(a.seed) - Number(b.seed));
+			runOutcomes.push(outcomes);
+			seedDirs.push(config.seedDir);
+
+			if (report !== undefined) {
+				const reportConfig = { seats, players: numPlayers, variant: variant.name, options };
+				const reportPath = `${config.seedDir}/report.${report}`;
+
+				fs.writeFileSync(reportPath, formatReport(/** @type {typeof REPORT_FORMATS[number]} */ (report), outcomes, reportConfig));
+				console.log(`Report written to ${reportPath}`);
+			}
+
+			if (seeds.length === 1) {
+				const { score } = outcomes[0];
+				summaries.push({ label, variant, perfect: score === maxScore ? 1 : 0, average: score });
+				continue;
+			}
+
+			/** @type {Record<string, { score: number, i: number }[]>} */
+			const results = {};
+
+			for (const { seed, score, result } of outcomes) {
+				results[result] ||= [];
+				results[result].push({ score, i: Number(seed) });
+			}
+
+			console.log('----------------');
+
+			const perfect = (results['perfect!'] ?? []).length;
+			const average = outcomes.reduce((sum, { score }) => sum + score, 0) / games;
+
+			console.log(`Perfect scores: ${perfect}/${games}, ${parseFloat(`${perfect / games}`).toFixed(2)}`);
+			console.log(`Average score: ${average}`);
+			console.log('Game summary:', results);
+
+			summaries.push({ label, variant, perfect, average });
 		}
 
-		console.log('----------------');
+		if (runOutcomes.length === 2)
+			log_comparison([labels[0], labels[1]], [runOutcomes[0], runOutcomes[1]], [seedDirs[0], seedDirs[1]], top);
+		else if (baselineRows !== undefined)
+			log_comparison(['baseline', labels[0]], [baselineRows, runOutcomes[0]], [path.dirname(baseline), seedDirs[0]], top);
+	}
+
+	if (variants.length > 1) {
+		console.log('======== Variant summary ========');
+
+		for (const { label, variant, perfect, average } of summaries)
+			console.log(`${variant.name}${runs.length > 1 ? ` (${label})` : ''}: perfect ${perfect}/${games}, average score ${average.toFixed(2)}/${variant.suits.length * 5}`);
+	}
+}
+
+/**
+ * Parses and validates a convention specification of the form "Convention[:level]" (e.g. "HGroup:5").
+ * @param {string} spec
+ */
+function parse_convention(spec) {
+	const [convention, lStr = '1'] = spec.split(':');
+
+	if (conventions[convention] === undefined)
+		throw new Error(`Convention ${convention} is not supported.`);
+
+	const level = Number(lStr);
+
+	if (convention === 'HGroup' && (!Number.isInteger(level) || level < 1 || level > MAX_H_LEVEL))
+		throw new Error(`Invalid level provided (${lStr}). Please enter a number from 1-${MAX_H_LEVEL}.`);
+
+	return /** @type {Seat} */ ({ convention, level });
+}
+
+/**
+ * Parses and validates the conventions for each seat at the table, given as a comma-separated list of convention specifications.
+ * A single specification is used for every seat.
+ * @param {string} spec
+ * @param {number} numPlayers
+ */
+function parse_seats(spec, numPlayers) {
+	const seats = spec.split(',').map(seat => parse_convention(seat.trim()));
+
+	if (seats.length === 1)
+		return { seats: Array.from({ length: numPlayers }, () => seats[0]), label: seat_label(seats[0]) };
+
+	if (seats.length !== numPlayers)
+		throw new Error(`Conventions were provided for ${seats.length} seats, but there are ${numPlayers} players.`);
+
+	return { seats, label: seats.map(seat_label).join(' + ') };
+}
+
+/**
+ * Returns a readable name for a seat's conventions (e.g. "HGroup 5").
+ * @param {Seat} seat
+ */
+function seat_label({ convention, level }) {
+	return convention + (convention === 'HGroup' ? ` ${level}` : '');
+}
+
+/**
+ * Logs the paired per-seed score differences between two runs over the same seeds.
+ * @param {[string, string]} labels
+ * @param {[SeedRow[], SeedRow[]]} rows
+ * @param {[string, string]} seedDirs 	The directories that each run's seeds were saved to.
+ * @param {number} top 					The number of seeds with the largest differences to list.
+ */
+function log_comparison(labels, rows, seedDirs, top) {
+	const [labelA, labelB] = labels;
+	const comparison = compareRows(rows[0], rows[1]);
+	const { pairs, mean_delta, delta_se, delta_95, better, worse, same, perfect_delta } = comparison;
+
+	console.log(`======== ${labelA} vs ${labelB} ========`);
+
+	if (pairs.length === 0) {
+		console.log('No seeds in common.');
+		return;
+	}
+
+	const sign = (/** @type {number} */ num) => (num > 0 ? '+' : '') + num.toFixed(3);
+
+	console.log(`Paired seeds: ${pairs.length} (${better} better, ${worse} worse, ${same} same)`);
+	console.log(`Mean score delta: ${sign(mean_delta)} (SE ${delta_se.toFixed(3)}, 95% interval ${sign(delta_95[0])} to ${sign(delta_95[1])})`);
+	console.log(`Perfect games delta: ${perfect_delta > 0 ? '+' : ''}${perfect_delta}`);
 
-		const perfect = (results['perfect!'] ?? []).length;
-		console.log(`Perfect scores: ${perfect}/${games}, ${parseFloat(`${perfect / games}`).toFixed(2)}`);
-		console.log(`Average score: ${Object.values(results).flatMap(rs => rs.map(r => r.score)).reduce((sum, curr) => sum + curr) / games}`);
-		console.log('Game summary:', results);
+	const changed = pairs.filter(pair => pair.delta !== 0 || pair.a.result !== pair.b.result).slice(0, top);
+
+	if (changed.length > 0) {
+		console.log('Seeds that changed the most:');
+
+		for (const { seed, delta, a, b } of changed)
+			console.log(`  seed ${seed}: ${a.score} -> ${b.score} (${delta > 0 ? '+' : ''}${delta}), ${a.result} -> ${b.result} [${seedDirs.map(dir => `${dir}/${seed}.json`).join(', ')}]`);
 	}
 }
 
+/**
+ * Simulates the game for a particular seed and saves its actions to the seed directory.
+ * @param {string} seed
+ * @param {SimulationConfig} config
+ * @returns {SeedRow}
+ */
+function play_seed(seed, config) {
+	const { players, variant, options, seats, seedDir } = config;
+	const shuffled = shuffle(createDeck(variant), seed);
+
+	const { score, result, actions, notes, stats } = simulate_game(players, shuffled, variant, options, seats);
+
+	// Written in the hanab.live JSON format, so that the game can be loaded in the replay viewer
+	const exported = {
+		players,
+		deck: shuffled,
+		actions,
+		options: Object.assign({ variant: variant.name }, options),
+		notes,
+		seed: `p${players.length}v${variant.id}s${seed}`,
+		seats
+	};
+
+	fs.writeFileSync(`${seedDir}/${seed}.json`, JSON.stringify(exported));
+	return { seed, score, max_score: variant.suits.length * 5, result, ...stats };
+}
+
+/**
+ * Splits the seeds between worker threads and simulates them in parallel.
+ * Resolves with the outcomes of all seeds (in the order they finished).
+ * @param {string[]} seeds
+ * @param {SimulationConfig} config
+ * @param {number} threads
+ * @param {(outcome: SeedRow) => void} onOutcome 	Called whenever a seed finishes.
+ * @returns {Promise<SeedRow[]>}
+ */
+function play_seeds_parallel(seeds, config, threads, onOutcome) {
+	return new Promise((resolve, reject) => {
+		/** @type {SeedRow[]} */
+		const outcomes = [];
+		let exited = 0;
+
+		for (let t = 0; t < threads; t++) {
+			const worker = new Worker(new URL(import.meta.url), { workerData: { seeds: seeds.filter((_, i) => i % threads === t), config } });
+
+			worker.on('message', (/** @type {SeedRow} */ outcome) => {
+				outcomes.push(outcome);
+				onOutcome(outcome);
+			});
+			worker.on('error', reject);
+			worker.on('exit', (code) => {
+				if (code !== 0)
+					reject(new Error(`Worker ${t} stopped with exit code ${code}.`));
+
+				exited++;
+				if (exited === threads)
+					resolve(outcomes);
+			});
+		}
+	});
+}
+
+/**
+ * Entry point for worker threads, which simulate their share of the seeds and report each outcome back.
+ */
+async function worker_main() {
+	const { seeds, config } = /** @type {{ seeds: string[], config: SimulationConfig }} */ (workerData);
+
+	logger.setLevel(logger.LEVELS.ERROR);
+	await getShortForms(config.variant);
+
+	for (const seed of seeds)
+		parentPort.postMessage(play_seed(seed, config));
+}
+
 /**
  * Given a deck, simulates the outcome of the game in self-play with the provided conventions.
  * Returns the score of the game.
  * @param {string[]} playerNames
  * @param {Identity[]} deck
- * @param {keyof typeof conventions} convention
- * @param {number} level
+ * @param {Variant} variant
+ * @param {TableOptions} options
+ * @param {Seat[]} seats 	The conventions that each player uses.
  */
-function simulate_game(playerNames, deck, convention, level) {
+function simulate_game(playerNames, deck, variant, options, seats) {
 	const games = playerNames.map((_, index) => {
-		const state = new State(playerNames, index, noVar, {});
+		const state = new State(playerNames, index, variant, Object.assign({ variantName: variant.name }, options));
 
 		return {
-			game: new conventions[convention](-1, state, false, level),
+			game: /** @type {Game} */ (new conventions[seats[index].convention](-1, state, false, seats[index].level)),
 			order: 0
 		};
 	});
@@ -146,13 +426,18 @@ function simulate_game(playerNames, deck, convention, level) {
 	}
 
 	let currentPlayerIndex = 0, turn = 0, endgameTurns = -1;
-	const _state = games[0].game.state;
 
 	/** @type {Pick<PerformAction, 'type' | 'target' | 'value'>[]} */
 	const actions = [];
 
+	/** @type {number} */
+	let endCondition = END_CONDITION.IN_PROGRESS;
+
+	const stats = { turns: 0, clues: 0, bombs: 0, critical_discards: 0 };
+
 	try {
-		while (endgameTurns !== 0 && _state.strikes !== 3 && _state.score !== _state.variant.suits.length * 5) {
+		// Rewinds replace the state, so it must be fetched again every turn
+		while ((endCondition = check_end(games[0].game.state, currentPlayerIndex, endgameTurns, turn)) === END_CONDITION.IN_PROGRESS) {
 			if (turn !== 0) {
 				games.forEach(({ game }, index) => {
 					logger.debug('Turn for', game.state.playerNames[index]);
@@ -164,10 +449,21 @@ function simulate_game(playerNames, deck, convention, level) {
 			const { game: currentPlayerGame } = games[currentPlayerIndex];
 			Utils.globalModify({ game: currentPlayerGame });
 
-			// @ts-ignore (one day static analysis will get better)
 			const performAction = currentPlayerGame.take_action(currentPlayerGame);
 			actions.push(Utils.objPick(performAction, ['type', 'target', 'value'], { default: 0 }));
 
+			const { state: currentState } = games[0].game;
+			const actual = Utils.performToAction(currentState, performAction, currentPlayerIndex, deck);
+
+			stats.turns++;
+
+			if (actual.type === 'clue')
+				stats.clues++;
+			else if (actual.type === 'discard' && actual.failed)
+				stats.bombs++;
+			else if (actual.type === 'discard' && !currentState.isBasicTrash(actual) && currentState.isCritical(actual))
+				stats.critical_discards++;
+
 			for (let gameIndex = 0; gameIndex < playerNames.length; gameIndex++) {
 				const { game, order } = games[gameIndex];
 				const { state } = game;
@@ -178,19 +474,32 @@ function simulate_game(playerNames, deck, convention, level) {
 				// logger.setLevel(stateIndex === 1 ? logger.LEVELS.INFO : logger.LEVELS.ERROR);
 
 				Utils.globalModify({ game });
-				game.handle_action(action, true);
 
-				if ((action.type === 'play' || action.type === 'discard') && order < deck.length) {
+				const draw = () => {
 					const { suitIndex, rank } = (currentPlayerIndex !== state.ourPlayerIndex) ? deck[order] : { suitIndex: -1, rank: -1 };
 					game.handle_action({ type: 'draw', playerIndex: currentPlayerIndex, order, suitIndex, rank }, true);
 					games[gameIndex].order++;
-				}
+				};
+
+				// Deck plays draw the last card of the deck into hand before playing it
+				const deck_play = (action.type === 'play' || action.type === 'discard') && action.order === order;
+
+				if (deck_play)
+					draw();
+
+				game.handle_action(action, true);
+
+				if ((action.type === 'play' || action.type === 'discard') && !deck_play && order < deck.length)
+					draw();
 			}
 
-			if (games[currentPlayerIndex].order === deck.length && endgameTurns === -1)
-				endgameTurns = playerNames.length;
-			else if (endgameTurns > 0)
-				endgameTurns--;
+			// All or Nothing games don't end when the deck runs out
+			if (!options.allOrNothing) {
+				if (games[currentPlayerIndex].order === deck.length && endgameTurns === -1)
+					endgameTurns = playerNames.length;
+				else if (endgameTurns > 0)
+					endgameTurns--;
+			}
 
 			currentPlayerIndex = (currentPlayerIndex + 1) % playerNames.length;
 			// logger.setLevel(currentPlayerIndex === 1 ? logger.LEVELS.INFO : logger.LEVELS.ERROR);
@@ -200,7 +509,7 @@ function simulate_game(playerNames, deck, convention, level) {
 		actions.push({
 			type: ACTION.END_GAME,
 			target: (currentPlayerIndex + playerNames.length - 1) % playerNames.length,
-			value: endgameTurns === 0 ? END_CONDITION.NORMAL : END_CONDITION.STRIKEOUT
+			value: endCondition
 		});
 	}
 	catch (err) {
@@ -210,78 +519,56 @@ function simulate_game(playerNames, deck, convention, level) {
 			logger.flush();
 	}
 
-	const { score, strikes, variant, max_ranks } = games[0].game.state;
+	const { score, strikes, max_ranks } = games[0].game.state;
 
 	const result = strikes === 3 ? 'strikeout' :
 		score === variant.suits.length * 5 ? 'perfect!' :
+		endCondition === END_CONDITION.ALL_OR_NOTHING_FAIL ? 'all or nothing fail' :
+		endCondition === END_CONDITION.ALL_OR_NOTHING_SOFTLOCK ? 'all or nothing softlock' :
 		score === max_ranks.reduce((sum, max) => sum + max) ? 'discarded critical (max)' :
 		max_ranks.some(max => max !== 5) ? 'discarded critical, out of pace' :
 		'out of pace';
 
-	return { score: games[0].game.state.score, result, actions };
-}
-
-main();
+	// The notes each bot wrote, indexed by card order
+	const notes = games.map(({ game }) => deck.map((_, order) => game.notes[order]?.full ?? ''));
 
-/**
- * Generates pseudo-random numbers using the Simple Fast Counter (SFC) algorithm.
- * Requires four 32-bit component hashes.
- * @param {number} a
- * @param {number} b
- * @param {number} c
- * @param {number} d
- */
-function sfc32(a, b, c, d) {
-	return function() {
-		a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
-		var t = (a + b) | 0;
-		a = b ^ b >>> 9;
-		b = c + (c << 3) | 0;
-		c = (c << 21 | c >>> 11);
-		d = d + 1 | 0;
-		t = t + d | 0;
-		c = c + t | 0;
-		return (t >>> 0) / 4294967296;
-	};
+	return { score: games[0].game.state.score, result, actions, notes, stats: { strikes, ...stats } };
 }
 
 /**
- * Generates a 128-bit hash value from a string.
- * @param {string} str
+ * Returns the condition that ends the game at the start of the current player's turn,
+ * or IN_PROGRESS if the game should continue.
+ * @param {State} state
+ * @param {number} currentPlayerIndex
+ * @param {number} endgameTurns 	The number of turns left after the deck has run out (-1 if it hasn't yet).
+ * @param {number} turn
  */
-function cyrb128(str) {
-	let h1 = 1779033703, h2 = 3144134277,
-		h3 = 1013904242, h4 = 2773480762;
-	for (let i = 0, k; i < str.length; i++) {
-		k = str.charCodeAt(i);
-		h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
-		h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
-		h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
-		h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
-	}
-	h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
-	h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
-	h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
-	h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
-	h1 ^= (h2 ^ h3 ^ h4), h2 ^= h1, h3 ^= h1, h4 ^= h1;
-	return [h1>>>0, h2>>>0, h3>>>0, h4>>>0];
-}
+function check_end(state, currentPlayerIndex, endgameTurns, turn) {
+	const maxScore = state.variant.suits.length * 5;
 
-/**
- * Returns a shallow copy of the array after shuffling it according to a seed. The original array is not modified.
- * @template T
- * @param {T[]} array
- * @param {string} seed
- */
-function shuffle(array, seed) {
-	const hash = cyrb128(seed);
-	const rand = sfc32(hash[0], hash[1], hash[2], hash[3]);
-	const arr = array.slice();
-
-	for (let i = arr.length - 1; i > 0; i--) {
-		const j = Math.floor(rand() * (i + 1));
-		[arr[i], arr[j]] = [arr[j], arr[i]];
-	}
+	if (state.strikes === 3)
+		return END_CONDITION.STRIKEOUT;
+
+	if (state.score === maxScore)
+		return END_CONDITION.NORMAL;
+
+	if (!state.options.allOrNothing)
+		return endgameTurns === 0 ? END_CONDITION.NORMAL : END_CONDITION.IN_PROGRESS;
 
-	return arr;
+	// A perfect score is no longer possible
+	if (state.max_ranks.some(max => max !== 5))
+		return END_CONDITION.ALL_OR_NOTHING_FAIL;
+
+	const can_clue = state.clue_tokens > 0 && (state.options.emptyClues || state.hands.some((hand, index) => index !== currentPlayerIndex && hand.length > 0));
+
+	// The current player can't do anything, or the team is stalling indefinitely
+	if ((state.hands[currentPlayerIndex].length === 0 && !can_clue) || turn > maxScore * STALL_TURNS_PER_POINT)
+		return END_CONDITION.ALL_OR_NOTHING_SOFTLOCK;
+
+	return END_CONDITION.IN_PROGRESS;
 }
+
+if (isMainThread)
+	main();
+else
+	worker_main();
@@ -5,8 +5,9 @@ import * as Utils from './util.js';
 
 /**
  * Initializes the console interactivity with the game state.
+ * @param {import('../command-handler.js').Session[]} [sessions] 	The sessions connected to the server (spectating uses the first one).
  */
-export function initConsole() {
+export function initConsole(sessions = []) {
 	readline.emitKeypressEvents(process.stdin);
 	if (process.stdin.isTTY)
 		process.stdin.setRawMode(true);
@@ -102,10 +103,10 @@ export function initConsole() {
 						if (parts.length === 3 && isNaN(Number(parts[2])))
 							logger.warn('Please provide a valid shadowing player index.');
 
-						Utils.sendCmd('tableSpectate', { tableID: Number(parts[1]), shadowingPlayerIndex: Number(parts[2] ?? -1) });
+						sessions[0]?.sendCmd('tableSpectate', { tableID: Number(parts[1]), shadowingPlayerIndex: Number(parts[2] ?? -1) });
 						break;
 					case 'unattend':
-						Utils.sendCmd('tableUnattend', { tableID: game.tableID });
+						sessions.find(session => Object.values(session.games).includes(game))?.sendCmd('tableUnattend', { tableID: game.tableID });
 						break;
 					default:
 						logger.warn('Command not recognized.');
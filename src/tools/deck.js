@@ -0,0 +1,89 @@
+import { cardCount } from '../variants.js';
+
+/**
+ * @typedef {import('../types.js').Identity} Identity
+ * @typedef {import('../variants.js').Variant} Variant
+ */
+
+/**
+ * Returns an unshuffled deck containing every card in the variant.
+ * @param {Variant} variant
+ */
+export function createDeck(variant) {
+	/** @type {Identity[]} */
+	const deck = [];
+
+	for (let suitIndex = 0; suitIndex < variant.suits.length; suitIndex++) {
+		for (let rank = 1; rank <= 5; rank++) {
+			const identity = Object.freeze({ suitIndex, rank });
+
+			for (let i = 0; i < cardCount(variant, identity); i++)
+				deck.push(identity);
+		}
+	}
+
+	return deck;
+}
+
+/**
+ * Generates pseudo-random numbers using the Simple Fast Counter (SFC) algorithm.
+ * Requires four 32-bit component hashes.
+ * @param {number} a
+ * @param {number} b
+ * @param {number} c
+ * @param {number} d
+ */
+function sfc32(a, b, c, d) {
+	return function() {
+		a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+		var t = (a + b) | 0;
+		a = b ^ b >>> 9;
+		b = c + (c << 3) | 0;
+		c = (c << 21 | c >>> 11);
+		d = d + 1 | 0;
+		t = t + d | 0;
+		c = c + t | 0;
+		return (t >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Generates a 128-bit hash value from a string.
+ * @param {string} str
+ */
+function cyrb128(str) {
+	let h1 = 1779033703, h2 = 3144134277,
+		h3 = 1013904242, h4 = 2773480762;
+	for (let i = 0, k; i < str.length; i++) {
+		k = str.charCodeAt(i);
+		h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+		h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+		h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+		h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+	}
+	h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+	h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+	h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+	h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+	h1 ^= (h2 ^ h3 ^ h4), h2 ^= h1, h3 ^= h1, h4 ^= h1;
+	return [h1>>>0, h2>>>0, h3>>>0, h4>>>0];
+}
+
+/**
+ * Returns a shallow copy of the array after shuffling it according to a seed. The original array is not modified.
+ * @template T
+ * @param {T[]} array
+ * @param {string} seed
+ */
+export function shuffle(array, seed) {
+	const hash = cyrb128(seed);
+	const rand = sfc32(hash[0], hash[1], hash[2], hash[3]);
+	const arr = array.slice();
+
+	for (let i = arr.length - 1; i > 0; i--) {
+		const j = Math.floor(rand() * (i + 1));
+		[arr[i], arr[j]] = [arr[j], arr[i]];
+	}
+
+	return arr;
+}
@@ -0,0 +1,128 @@
+import { ACTION } from '../constants.js';
+import { logAction, logCard, logClue, logHand, logPerformAction } from './log.js';
+
+/**
+ * @typedef {import('../basics/Game.js').Game} Game
+ */
+
+/**
+ * Returns a chat-friendly explanation of what everyone knows about a card and which actions narrowed it down.
+ *
+ * Only common knowledge is used, so this is safe to show to every player (including the card's owner).
+ * @param {Game} game
+ * @param {number} order
+ * @returns {string}
+ */
+export function explainCard(game, order) {
+	const { common, state } = game;
+	const playerIndex = state.hands.findIndex(hand => hand.findOrder(order) !== undefined);
+
+	if (playerIndex === -1)
+		return `Card ${order} is not in anyone's hand.`;
+
+	const slot = state.hands[playerIndex].findIndex(c => c.order === order) + 1;
+	const card = common.thoughts[order];
+	const [{ flags, possible, inferred }] = logHand([card], common);
+
+	const reasons = [];
+
+	for (const [i, action_index] of card.reasoning.entries()) {
+		const action = state.actionList[action_index];
+
+		// Draws would reveal the drawn card to the person who drew it
+		const described = ['clue', 'play', 'discard'].includes(action?.type) ? ` (${logAction(action)})` : '';
+		const reason = `turn ${card.reasoning_turn[i]}${described}`;
+
+		if (!reasons.includes(reason))
+			reasons.push(reason);
+	}
+
+	const all_possible = possible.length === common.all_possible.length;
+
+	return `Card ${order} (${state.playerNames[playerIndex]}'s slot ${slot}${flags.map(flag => ', ' + flag).join('')}): ` +
+		`possible ${all_possible ? 'anything' : `[${possible.join(',')}]`}, inferred [${inferred.join(',')}]. ` +
+		(reasons.length > 0 ? `Narrowed down on ${reasons.join(', ')}.` : 'Not narrowed down by any clues yet.');
+}
+
+/**
+ * Returns a chat-friendly view of a player's hand from the bot's perspective, one message per card.
+ *
+ * The identities of the cards are only included if the viewer can see them (i.e. they don't own the hand).
+ * @param {Game} game
+ * @param {number} playerIndex
+ * @param {string} viewer 		The name of the user who will see the messages.
+ * @returns {string[]}
+ */
+export function explainHand(game, playerIndex, viewer) {
+	const { common, state } = game;
+	const hand = state.hands[playerIndex];
+	const show_identities = state.playerNames[playerIndex] !== viewer;
+
+	const messages = [`${state.playerNames[playerIndex]}'s hand, from the bot's perspective:`];
+
+	for (const [i, { visible, order, flags, inferred, reasoning }] of logHand(hand, common).entries()) {
+		const identity = show_identities && state.deck[order].suitIndex !== -1 ? logCard(state.deck[order]) : visible;
+		const details = [identity, ...flags, `inferred [${inferred.join(',')}]`];
+
+		if (reasoning.length > 0)
+			details.push(`reasoning on turn${reasoning.length > 1 ? 's' : ''} ${reasoning.join(',')}`);
+
+		messages.push(`Slot ${i + 1} (order ${order}): ${details.join(', ')}`);
+	}
+
+	return messages;
+}
+
+/**
+ * Returns a chat-friendly description of the action the bot would take right now.
+ *
+ * Planned clues are only described to spectators. Players are only told that a clue would be given,
+ * since knowing its target or value (or that it wasn't given to them) would reveal information about their own hand.
+ * @param {Game} game
+ * @param {string} viewer 		The name of the user who will see the message.
+ * @returns {string}
+ */
+export function explainPlan(game, viewer) {
+	const { state } = game;
+	const action = game.take_action(game);
+	const prefix = state.currentPlayerIndex === state.ourPlayerIndex ? 'Planning to' : 'If it were the bot\'s turn, it would';
+
+	if (action.type === ACTION.COLOUR || action.type === ACTION.RANK) {
+		if (state.playerNames.includes(viewer))
+			return `${prefix} give a clue.`;
+
+		// logClue gives "(<value> to <target>)"
+		return `${prefix} clue ${logClue(action).slice(1, -1)}.`;
+	}
+
+	const description = logPerformAction(action);
+
+	return `${prefix} ${description[0].toLowerCase() + description.slice(1)}.`;
+}
+
+/**
+ * Returns a chat-friendly summary of a finished game: the score, strikes, and the bot's rewinds and detected mistakes.
+ * @param {Game} game
+ * @returns {string}
+ */
+export function gameSummary(game) {
+	const { state } = game;
+	const max_score = state.variant.suits.length * 5;
+	const achievable = state.max_ranks.reduce((sum, max_rank) => sum + max_rank, 0);
+
+	const mistake_turns = [];
+	let turn = 1;
+
+	for (const action of state.actionList) {
+		if (action.type === 'turn')
+			turn++;
+		else if (action.type === 'clue' && action.mistake && !mistake_turns.includes(turn))
+			mistake_turns.push(turn);
+	}
+
+	const rewind_turns = Array.from(new Set(game.rewindTurns)).sort((a, b) => a - b);
+
+	return `Game over: ${state.score}/${max_score} points${achievable < max_score ? ` (${achievable} possible after discards)` : ''} with ${state.strikes} strike${state.strikes === 1 ? '' : 's'}. ` +
+		`Rewound ${game.rewinds} time${game.rewinds === 1 ? '' : 's'}${rewind_turns.length > 0 ? ` (to turn${rewind_turns.length === 1 ? '' : 's'} ${rewind_turns.join(', ')})` : ''}. ` +
+		`Mistakes detected: ${mistake_turns.length > 0 ? `turn${mistake_turns.length === 1 ? '' : 's'} ${mistake_turns.join(', ')}` : 'none'}.`;
+}
@@ -0,0 +1,705 @@
+import * as http from 'http';
+import { randomUUID } from 'crypto';
+import { WebSocketServer } from 'ws';
+
+import { ACTION, CLUE, END_CONDITION, HAND_SIZE } from '../constants.js';
+import { cardTouched, getVariant, isCluable } from '../variants.js';
+import { createDeck, shuffle } from './deck.js';
+
+/**
+ * @typedef {import('../types.js').Action} Action
+ * @typedef {import('../types.js').Identity} Identity
+ * @typedef {import('../types.js').PerformAction} PerformAction
+ * @typedef {import('../types-live.js').Table} Table
+ * @typedef {import('../types-live.js').TableOptions} TableOptions
+ * @typedef {import('../variants.js').Variant} Variant
+ *
+ * @typedef LocalGame
+ * @property {string} seed
+ * @property {Variant} variant
+ * @property {Identity[]} deck
+ * @property {number[][]} hands 		The orders of the cards in each player's hand.
+ * @property {Action[]} actionList
+ * @property {number[]} play_stacks
+ * @property {number} clue_tokens
+ * @property {number} strikes
+ * @property {number} turn
+ * @property {number} currentPlayerIndex
+ * @property {number} nextOrder
+ * @property {number} endgameTurns 		The number of turns left after the deck has run out (-1 if it hasn't yet).
+ * @property {boolean} over
+ * @property {Set<string>} loaded 		The players who have received the action list, and so should be sent new actions.
+ * @property {number[]} [times] 		The time left on each player's clock (in ms), in timed games.
+ * @property {number} [turnStart] 		When the current turn started (in ms since the epoch), in timed games.
+ *
+ * @typedef {Table & {password?: string, owner: string, game?: LocalGame}} LocalTable
+ */
+
+/**
+ * A small stand-in for the hanab.live server, speaking the same "command {json}" websocket protocol.
+ * Users log in over HTTP to receive a session cookie, then connect to the websocket at /ws.
+ *
+ * Games are dealt from a seed, so the same seed always produces the same deck.
+ */
+export class LocalServer {
+	/** @type {Map<string, string>} 	Session tokens to usernames. */
+	sessions = new Map();
+
+	/** @type {Map<string, import('ws').WebSocket>} */
+	connections = new Map();
+
+	/** @type {Record<number, LocalTable>} */
+	tables = {};
+
+	nextTableID = 1;
+	nextUserID = 1;
+
+	/**
+	 * @param {{seed?: string, accounts?: Record<string, string>}} [options]
+	 * The seed used to deal every game (default '0'), and optionally the only accounts (username to password) allowed to log in.
+	 */
+	constructor(options = {}) {
+		this.seed = options.seed ?? '0';
+		this.accounts = options.accounts;
+
+		this.server = http.createServer((req, res) => this.onRequest(req, res));
+		this.wss = new WebSocketServer({ noServer: true });
+
+		this.server.on('upgrade', (req, socket, head) => {
+			const username = this.sessions.get(parseCookie(req.headers.cookie));
+
+			if (req.url !== '/ws' || username === undefined) {
+				socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+				socket.destroy();
+				return;
+			}
+
+			this.wss.handleUpgrade(req, socket, head, (ws) => this.onConnection(ws, username));
+		});
+	}
+
+	/**
+	 * Starts listening on the given port (a random free port by default), resolving with the port.
+	 * @param {number} [port]
+	 * @returns {Promise<number>}
+	 */
+	listen(port = 0) {
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.listen(port, '127.0.0.1', () => {
+				const address = this.server.address();
+				resolve(typeof address === 'object' ? address.port : port);
+			});
+		});
+	}
+
+	/**
+	 * Disconnects every user and stops the server.
+	 */
+	close() {
+		for (const ws of this.connections.values())
+			ws.terminate();
+
+		this.wss.close();
+
+		return new Promise(resolve => this.server.close(() => resolve(undefined)));
+	}
+
+	/**
+	 * Handles a login request (POST /login with a url-encoded username and password), responding with a session cookie.
+	 * @param {http.IncomingMessage} req
+	 * @param {http.ServerResponse} res
+	 */
+	onRequest(req, res) {
+		if (req.method !== 'POST' || req.url !== '/login') {
+			res.writeHead(404).end('Not found');
+			return;
+		}
+
+		let body = '';
+		req.on('data', (chunk) => body += chunk);
+		req.on('end', () => {
+			const params = new URLSearchParams(body);
+			const username = params.get('username'), password = params.get('password');
+
+			if (!username || !password) {
+				res.writeHead(400).end('You must provide a username and password.');
+				return;
+			}
+
+			if (this.accounts !== undefined && this.accounts[username] !== password) {
+				res.writeHead(401).end('That is not the correct password.');
+				return;
+			}
+
+			const token = randomUUID();
+			this.sessions.set(token, username);
+
+			res.writeHead(200, { 'Set-Cookie': `hanabi.sid=${token}; Path=/; HttpOnly` }).end();
+		});
+	}
+
+	/**
+	 * @param {import('ws').WebSocket} ws
+	 * @param {string} username
+	 */
+	onConnection(ws, username) {
+		// Only one connection is allowed per user, like on hanab.live
+		this.connections.get(username)?.terminate();
+		this.connections.set(username, ws);
+
+		ws.on('close', () => {
+			if (this.connections.get(username) === ws)
+				this.connections.delete(username);
+		});
+
+		ws.on('message', (data) => {
+			// Websocket messages are in the format: commandName {"field_name":"value"}
+			const str = data.toString();
+			const ind = str.indexOf(' ');
+			const [command, arg] = ind === -1 ? [str, '{}'] : [str.slice(0, ind), str.slice(ind + 1)];
+
+			try {
+				this.onCommand(username, command, JSON.parse(arg));
+			}
+			catch (err) {
+				this.send(username, 'warning', { warning: err.message });
+			}
+		});
+
+		const playingAtTables = Object.values(this.tables).filter(table => table.running && table.players.includes(username)).map(table => table.id);
+
+		this.send(username, 'welcome', { userID: this.nextUserID++, username, playingAtTables, randomTableName: 'local table' });
+		this.send(username, 'tableList', Object.values(this.tables).map(publicTable));
+	}
+
+	/**
+	 * Sends a command to a user, if they are connected.
+	 * @param {string} username
+	 * @param {string} command
+	 * @param {any} data
+	 */
+	send(username, command, data) {
+		this.connections.get(username)?.send(`${command} ${JSON.stringify(data)}`);
+	}
+
+	/**
+	 * Sends a command to every connected user.
+	 * @param {string} command
+	 * @param {any} data
+	 */
+	broadcast(command, data) {
+		for (const username of this.connections.keys())
+			this.send(username, command, data);
+	}
+
+	/**
+	 * Handles a command sent by a user. Throwing an error sends it back to the user as a warning.
+	 * @param {string} username
+	 * @param {string} command
+	 * @param {any} data
+	 */
+	onCommand(username, command, data) {
+		switch (command) {
+			case 'tableCreate': {
+				const { name = this.nextTableID.toString(), maxPlayers = 5, password, options = {} } = data;
+
+				/** @type {LocalTable} */
+				const table = {
+					id: this.nextTableID++,
+					name,
+					passwordProtected: !!password,
+					password,
+					joined: false,
+					numPlayers: 0,
+					owned: false,
+					running: false,
+					variant: options.variantName ?? 'No Variant',
+					options: Object.assign({ variantName: 'No Variant' }, options),
+					sharedReplay: false,
+					progress: 0,
+					players: [],
+					spectators: [],
+					maxPlayers,
+					owner: username
+				};
+
+				this.tables[table.id] = table;
+				this.joinTable(username, table);
+				break;
+			}
+			case 'tableJoin': {
+				const table = this.findTable(data.tableID);
+
+				if (table.running)
+					throw new Error('That game has already started.');
+
+				if (table.password !== undefined && table.password !== data.password)
+					throw new Error('That is not the correct password for this game.');
+
+				if (table.players.length >= table.maxPlayers)
+					throw new Error('That table is full.');
+
+				if (table.players.includes(username))
+					throw new Error('You are already in that game.');
+
+				this.joinTable(username, table);
+				break;
+			}
+			case 'tableLeave': {
+				const table = this.findTable(data.tableID);
+
+				if (table.running || !table.players.includes(username))
+					throw new Error('You cannot leave that table.');
+
+				table.players = table.players.filter(player => player !== username);
+				table.numPlayers = table.players.length;
+				this.send(username, 'left', { tableID: table.id });
+
+				if (table.players.length === 0 || table.owner === username)
+					this.removeTable(table);
+				else
+					this.broadcast('table', publicTable(table));
+				break;
+			}
+			case 'tableUnattend': {
+				const table = this.findTable(data.tableID);
+
+				table.spectators = table.spectators.filter(spec => spec.name !== username);
+				this.send(username, 'left', { tableID: table.id });
+
+				if (table.sharedReplay && table.spectators.length === 0)
+					this.removeTable(table);
+				else
+					this.broadcast('table', publicTable(table));
+				break;
+			}
+			case 'tableReattend': {
+				const table = this.findTable(data.tableID);
+
+				if (!table.running || !table.players.includes(username))
+					throw new Error('You are not playing in that game.');
+
+				this.send(username, 'tableStart', { tableID: table.id, replay: false });
+				break;
+			}
+			case 'tableStart':
+				// Starting is asynchronous, since the variant must be loaded
+				this.startGame(username, this.findTable(data.tableID)).catch(err => this.send(username, 'warning', { warning: err.message }));
+				break;
+
+			case 'tableRestart':
+				throw new Error('Restarting games is not supported by the local server.');
+
+			case 'tableTerminate': {
+				const table = this.findTable(data.tableID);
+
+				if (!table.running || !table.players.includes(username))
+					throw new Error('You are not playing in that game.');
+
+				this.endGame(table, END_CONDITION.TERMINATED, table.players.indexOf(username));
+				break;
+			}
+			case 'getGameInfo1': {
+				const table = this.findPlayingTable(username, data.tableID);
+				const { game, options, players } = table;
+
+				this.send(username, 'init', {
+					tableID: table.id,
+					playerNames: players,
+					ourPlayerIndex: players.indexOf(username),
+					replay: false,
+					seed: game.seed,
+					options: Object.assign({ numPlayers: players.length }, options)
+				});
+				break;
+			}
+			case 'getGameInfo2': {
+				const table = this.findPlayingTable(username, data.tableID);
+				const playerIndex = table.players.indexOf(username);
+
+				table.game.loaded.add(username);
+				this.send(username, 'gameActionList', { tableID: table.id, list: table.game.actionList.map(action => hideCard(action, playerIndex)) });
+
+				if (table.game.times !== undefined)
+					this.send(username, 'clock', clockData(table));
+				break;
+			}
+			case 'loaded':
+			case 'note':
+				break;
+
+			case 'action':
+				this.performAction(username, this.findPlayingTable(username, data.tableID), data);
+				break;
+
+			case 'chat': {
+				const table = this.findTable(Number(String(data.room).replace('table', '')));
+				const msg = { msg: data.msg, who: username, room: data.room, recipient: '' };
+
+				for (const user of new Set([...table.players, ...table.spectators.map(spec => spec.name)]))
+					this.send(user, 'chat', msg);
+				break;
+			}
+			case 'chatPM': {
+				if (!this.connections.has(data.recipient))
+					throw new Error(`User ${data.recipient} is not online.`);
+
+				const msg = { msg: data.msg, who: username, room: 'lobby', recipient: data.recipient };
+
+				this.send(data.recipient, 'chat', msg);
+
+				if (data.recipient !== username)
+					this.send(username, 'chat', msg);
+				break;
+			}
+			default:
+				throw new Error(`The command "${command}" is not supported by the local server.`);
+		}
+	}
+
+	/**
+	 * @param {number} tableID
+	 */
+	findTable(tableID) {
+		const table = this.tables[tableID];
+
+		if (table === undefined)
+			throw new Error(`Table ${tableID} does not exist.`);
+
+		return table;
+	}
+
+	/**
+	 * @param {string} username
+	 * @param {number} tableID
+	 */
+	findPlayingTable(username, tableID) {
+		const table = this.findTable(tableID);
+
+		if (table.game === undefined || !table.players.includes(username))
+			throw new Error('You are not playing in that game.');
+
+		return table;
+	}
+
+	/**
+	 * @param {string} username
+	 * @param {LocalTable} table
+	 */
+	joinTable(username, table) {
+		table.players.push(username);
+		table.numPlayers = table.players.length;
+
+		this.send(username, 'joined', { tableID: table.id });
+		this.broadcast('table', publicTable(table));
+	}
+
+	/**
+	 * @param {LocalTable} table
+	 */
+	removeTable(table) {
+		delete this.tables[table.id];
+		this.broadcast('tableGone', { tableID: table.id, id: table.id });
+	}
+
+	/**
+	 * Deals a new game at the table and notifies the players.
+	 * @param {string} username
+	 * @param {LocalTable} table
+	 */
+	async startGame(username, table) {
+		if (table.owner !== username)
+			throw new Error('Only the owner of the table can start the game.');
+
+		if (table.running)
+			throw new Error('That game has already started.');
+
+		if (table.players.length < 2)
+			throw new Error('You need at least 2 players to start a game.');
+
+		const variant = await getVariant(table.options.variantName);
+		const numPlayers = table.players.length;
+		const handSize = HAND_SIZE[numPlayers] + (table.options.oneLessCard ? -1 : table.options.oneExtraCard ? 1 : 0);
+
+		/** @type {LocalGame} */
+		const game = {
+			seed: `p${numPlayers}v${variant.id}s${this.seed}`,
+			variant,
+			deck: shuffle(createDeck(variant), this.seed),
+			hands: table.players.map(() => []),
+			actionList: [],
+			play_stacks: variant.suits.map(() => 0),
+			clue_tokens: 8,
+			strikes: 0,
+			turn: 0,
+			currentPlayerIndex: 0,
+			nextOrder: 0,
+			endgameTurns: -1,
+			over: false,
+			loaded: new Set()
+		};
+
+		if (table.options.timed) {
+			game.times = table.players.map(() => (table.options.timeBase ?? 0) * 1000);
+			game.turnStart = Date.now();
+		}
+
+		for (let playerIndex = 0; playerIndex < numPlayers; playerIndex++) {
+			for (let i = 0; i < handSize; i++)
+				this.draw(game, playerIndex);
+		}
+
+		game.actionList.push(statusAction(game));
+		game.actionList.push({ type: 'turn', num: 0, currentPlayerIndex: 0 });
+
+		table.game = game;
+		table.running = true;
+
+		for (const player of table.players)
+			this.send(player, 'tableStart', { tableID: table.id, replay: false });
+
+		this.broadcast('table', publicTable(table));
+	}
+
+	/**
+	 * Draws the next card in the deck into a player's hand.
+	 * @param {LocalGame} game
+	 * @param {number} playerIndex
+	 */
+	draw(game, playerIndex) {
+		const order = game.nextOrder++;
+		const { suitIndex, rank } = game.deck[order];
+
+		game.hands[playerIndex].push(order);
+		game.actionList.push({ type: 'draw', playerIndex, order, suitIndex, rank });
+	}
+
+	/**
+	 * Checks and performs an action sent by a player, then sends the resulting game actions to everyone at the table.
+	 * @param {string} username
+	 * @param {LocalTable} table
+	 * @param {PerformAction} action
+	 */
+	performAction(username, table, action) {
+		const { game } = table;
+		const { type, target, value } = action;
+		const playerIndex = table.players.indexOf(username);
+		const hand = game.hands[playerIndex];
+		const start = game.actionList.length;
+
+		if (game.over)
+			throw new Error('That game has already ended.');
+
+		if (playerIndex !== game.currentPlayerIndex)
+			throw new Error('It is not your turn.');
+
+		let deck_play = false;
+
+		switch (type) {
+			case ACTION.PLAY:
+			case ACTION.DISCARD: {
+				deck_play = type === ACTION.PLAY && table.options.deckPlays && game.nextOrder === game.deck.length - 1 && target === game.nextOrder;
+
+				if (!hand.includes(target) && !deck_play)
+					throw new Error(`You do not have a card with order ${target}.`);
+
+				if (type === ACTION.DISCARD && game.clue_tokens === 8)
+					throw new Error('You cannot discard while at 8 clues.');
+
+				if (deck_play)
+					this.draw(game, playerIndex);
+
+				hand.splice(hand.indexOf(target), 1);
+
+				const { suitIndex, rank } = game.deck[target];
+
+				if (type === ACTION.PLAY && game.play_stacks[suitIndex] + 1 === rank) {
+					game.play_stacks[suitIndex] = rank;
+					game.actionList.push({ type: 'play', playerIndex, order: target, suitIndex, rank });
+
+					if (rank === 5 && game.clue_tokens < 8)
+						game.clue_tokens++;
+				}
+				else {
+					game.actionList.push({ type: 'discard', playerIndex, order: target, suitIndex, rank, failed: type === ACTION.PLAY });
+
+					if (type === ACTION.PLAY) {
+						game.strikes++;
+						// @ts-ignore (strikes are sent by hanab.live, but not handled by the bot)
+						game.actionList.push({ type: 'strike', num: game.strikes, turn: game.turn, order: target });
+					}
+					else {
+						game.clue_tokens++;
+					}
+				}
+
+				if (!deck_play && game.nextOrder < game.deck.length)
+					this.draw(game, playerIndex);
+				break;
+			}
+			case ACTION.COLOUR:
+			case ACTION.RANK: {
+				const clue = { type: type === ACTION.RANK ? CLUE.RANK : CLUE.COLOUR, value };
+				const valid_value = type === ACTION.RANK ? value >= 1 && value <= 5 : value >= 0 && value < game.variant.suits.length;
+
+				if (game.clue_tokens === 0)
+					throw new Error('You cannot give a clue with 0 clues.');
+
+				if (target === playerIndex || game.hands[target] === undefined)
+					throw new Error(`You cannot give a clue to player ${target}.`);
+
+				if (!valid_value || !isCluable(game.variant, clue))
+					throw new Error(`That is not a valid clue in ${game.variant.name}.`);
+
+				const list = game.hands[target].filter(order => cardTouched(game.deck[order], game.variant, clue));
+
+				if (list.length === 0 && !table.options.emptyClues)
+					throw new Error('Empty clues are not enabled for this game.');
+
+				game.clue_tokens--;
+				game.actionList.push({ type: 'clue', clue, giver: playerIndex, list, target });
+				break;
+			}
+			default:
+				throw new Error(`Unknown action type ${type}.`);
+		}
+
+		game.actionList.push(statusAction(game));
+
+		// All or Nothing games don't end when the deck runs out
+		if (!table.options.allOrNothing) {
+			if (game.nextOrder === game.deck.length && game.endgameTurns === -1)
+				game.endgameTurns = table.players.length;
+			else if (game.endgameTurns > 0)
+				game.endgameTurns--;
+		}
+
+		// Players who ran out of time lose (only checked once they act), otherwise they gain time for their next turn
+		let timed_out = false;
+
+		if (game.times !== undefined) {
+			game.times[playerIndex] -= Date.now() - game.turnStart;
+			timed_out = game.times[playerIndex] < 0;
+
+			if (!timed_out)
+				game.times[playerIndex] += (table.options.timePerTurn ?? 0) * 1000;
+
+			game.turnStart = Date.now();
+		}
+
+		game.turn++;
+		game.currentPlayerIndex = (game.currentPlayerIndex + 1) % table.players.length;
+
+		const maxScore = game.variant.suits.length * 5;
+		const score = game.play_stacks.reduce((sum, stack) => sum + stack, 0);
+
+		this.sendActions(table, start);
+
+		if (timed_out)
+			this.endGame(table, END_CONDITION.TIMEOUT, playerIndex);
+		else if (game.strikes === 3)
+			this.endGame(table, END_CONDITION.STRIKEOUT, playerIndex);
+		else if (score === maxScore || game.endgameTurns === 0)
+			this.endGame(table, END_CONDITION.NORMAL, playerIndex);
+		else if (table.options.allOrNothing && game.hands.every(h => h.length === 0))
+			this.endGame(table, END_CONDITION.ALL_OR_NOTHING_SOFTLOCK, playerIndex);
+		else
+			this.addActions(table, [{ type: 'turn', num: game.turn, currentPlayerIndex: game.currentPlayerIndex }]);
+
+		if (game.times !== undefined && !game.over) {
+			for (const player of game.loaded)
+				this.send(player, 'clock', clockData(table));
+		}
+	}
+
+	/**
+	 * Ends the game at the table, turning it into a shared replay for the players.
+	 * @param {LocalTable} table
+	 * @param {number} endCondition
+	 * @param {number} playerIndex
+	 */
+	endGame(table, endCondition, playerIndex) {
+		table.game.over = true;
+		this.addActions(table, [{ type: 'gameOver', endCondition, playerIndex, votes: null }]);
+
+		table.running = false;
+		table.sharedReplay = true;
+		table.spectators = table.players.map(name => ({ name, shadowingPlayerIndex: -1 }));
+		this.broadcast('table', publicTable(table));
+	}
+
+	/**
+	 * Adds actions to the game and sends them to everyone at the table.
+	 * @param {LocalTable} table
+	 * @param {Action[]} actions
+	 */
+	addActions(table, actions) {
+		const start = table.game.actionList.length;
+
+		table.game.actionList.push(...actions);
+		this.sendActions(table, start);
+	}
+
+	/**
+	 * Sends every game action from the given index onwards to the players who have loaded the game, hiding their own cards.
+	 * @param {LocalTable} table
+	 * @param {number} start
+	 */
+	sendActions(table, start) {
+		for (const [playerIndex, player] of table.players.entries()) {
+			// Players who haven't loaded yet will receive these in their action list
+			if (!table.game.loaded.has(player))
+				continue;
+
+			for (const action of table.game.actionList.slice(start))
+				this.send(player, 'gameAction', { tableID: table.id, action: hideCard(action, playerIndex) });
+		}
+	}
+}
+
+/**
+ * Returns the session token from a cookie header.
+ * @param {string} [cookie]
+ */
+function parseCookie(cookie = '') {
+	return cookie.match(/hanabi\.sid=([^;]+)/)?.[1];
+}
+
+/**
+ * Returns the information about a table that is visible to everyone (i.e. without the password or game).
+ * @param {LocalTable} table
+ * @returns {Table}
+ */
+function publicTable(table) {
+	return /** @type {Table} */ (Object.fromEntries(Object.entries(table).filter(([key]) => !['password', 'owner', 'game'].includes(key))));
+}
+
+/**
+ * Returns the action as seen by a player, where cards drawn into their own hand are unknown.
+ * @param {Action} action
+ * @param {number} playerIndex
+ */
+function hideCard(action, playerIndex) {
+	if (action.type === 'draw' && action.playerIndex === playerIndex)
+		return Object.assign({}, action, { suitIndex: -1, rank: -1 });
+
+	return action;
+}
+
+/**
+ * Returns the clock message for a timed game, with the time left for each player.
+ * @param {LocalTable} table
+ */
+function clockData(table) {
+	const { times, currentPlayerIndex, turnStart } = table.game;
+	return { tableID: table.id, times, activePlayerIndex: currentPlayerIndex, timeTaken: Date.now() - turnStart };
+}
+
+/**
+ * @param {LocalGame} game
+ * @returns {Action}
+ */
+function statusAction(game) {
+	return { type: 'status', clues: game.clue_tokens, score: game.play_stacks.reduce((sum, stack) => sum + stack, 0), maxScore: game.variant.suits.length * 5 };
+}
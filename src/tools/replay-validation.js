@@ -0,0 +1,140 @@
+import { ACTION, CLUE, HAND_SIZE } from '../constants.js';
+import { all_identities, cardCount, cardTouched, isCluable } from '../variants.js';
+import { logCard } from './log.js';
+
+/**
+ * @typedef {import('../types.js').Identity} Identity
+ * @typedef {import('../types.js').PerformAction} PerformAction
+ * @typedef {import('../types-live.js').TableOptions} TableOptions
+ * @typedef {import('../variants.js').Variant} Variant
+ *
+ * @typedef GameExport
+ * @property {string[]} players
+ * @property {Identity[]} deck
+ * @property {Pick<PerformAction, 'type' | 'target' | 'value'>[]} actions
+ * @property {TableOptions & {variant?: string}} [options]
+ */
+
+/**
+ * Checks that an exported game can be replayed in the given variant, throwing an error describing the first problem found.
+ *
+ * Every action is checked against the rules (e.g. only playing cards in hand, clues touching cards, having clue tokens),
+ * so that a broken export is reported up front rather than partway through the simulation.
+ * @param {GameExport} game_data
+ * @param {Variant} variant
+ */
+export function validateReplay(game_data, variant) {
+	const { players, deck, actions, options = {} } = game_data;
+
+	if (!Array.isArray(players) || players.length < 2 || players.length > 6)
+		throw new Error(`Replay must have between 2 and 6 players, found ${Array.isArray(players) ? players.length : 'none'}.`);
+
+	if (!Array.isArray(deck))
+		throw new Error('Replay does not have a deck.');
+
+	if (!Array.isArray(actions) || actions.length === 0)
+		throw new Error('Replay does not have any actions.');
+
+	const expected_cards = all_identities(variant.suits).reduce((sum, identity) => sum + cardCount(variant, identity), 0);
+
+	if (deck.length !== expected_cards)
+		throw new Error(`Deck has ${deck.length} cards, but ${variant.name} has ${expected_cards} cards. Is the variant correct?`);
+
+	for (const [order, card] of deck.entries()) {
+		if (!(card?.suitIndex >= 0 && card.suitIndex < variant.suits.length && card.rank >= 1 && card.rank <= 5))
+			throw new Error(`Card with order ${order} (${JSON.stringify(card)}) does not exist in ${variant.name}.`);
+	}
+
+	for (const identity of all_identities(variant.suits)) {
+		const copies = deck.filter(c => c.suitIndex === identity.suitIndex && c.rank === identity.rank).length;
+
+		if (copies !== cardCount(variant, identity))
+			throw new Error(`Deck has ${copies} copies of ${logCard(identity)}, but ${variant.name} has ${cardCount(variant, identity)}.`);
+	}
+
+	const numPlayers = players.length;
+	const handSize = HAND_SIZE[numPlayers] + (options.oneLessCard ? -1 : options.oneExtraCard ? 1 : 0);
+
+	/** @type {number[][]} */
+	const hands = players.map((_, playerIndex) => Array.from({ length: handSize }, (_, i) => playerIndex * handSize + i));
+	const play_stacks = variant.suits.map(() => 0);
+
+	let order = numPlayers * handSize, clue_tokens = 8, strikes = 0, currentPlayerIndex = 0;
+
+	for (const [index, action] of actions.entries()) {
+		const { type, target, value } = action;
+		const hand = hands[currentPlayerIndex];
+		const describe = `Action ${index} (turn ${index + 1}, ${players[currentPlayerIndex]})`;
+
+		if (strikes === 3 && type !== ACTION.END_GAME)
+			throw new Error(`${describe} was taken after the game ended with 3 strikes.`);
+
+		switch (type) {
+			case ACTION.PLAY:
+			case ACTION.DISCARD: {
+				const deck_play = type === ACTION.PLAY && options.deckPlays && order === deck.length - 1 && target === order;
+
+				if (!hand.includes(target) && !deck_play)
+					throw new Error(`${describe} ${type === ACTION.PLAY ? 'plays' : 'discards'} card with order ${target}, which is not in their hand.`);
+
+				if (type === ACTION.DISCARD && clue_tokens === 8)
+					throw new Error(`${describe} discards while at 8 clue tokens.`);
+
+				const { suitIndex, rank } = deck[target];
+
+				if (type === ACTION.PLAY && play_stacks[suitIndex] + 1 === rank) {
+					play_stacks[suitIndex] = rank;
+
+					if (rank === 5 && clue_tokens < 8)
+						clue_tokens++;
+				}
+				else if (type === ACTION.PLAY) {
+					strikes++;
+				}
+				else {
+					clue_tokens++;
+				}
+
+				if (deck_play) {
+					order++;
+				}
+				else {
+					hand.splice(hand.indexOf(target), 1);
+
+					if (order < deck.length)
+						hand.push(order++);
+				}
+				break;
+			}
+			case ACTION.COLOUR:
+			case ACTION.RANK: {
+				const clue = { type: type === ACTION.RANK ? CLUE.RANK : CLUE.COLOUR, value };
+				const valid_value = type === ACTION.RANK ? value >= 1 && value <= 5 : value >= 0 && value < variant.suits.length;
+
+				if (clue_tokens === 0)
+					throw new Error(`${describe} gives a clue with no clue tokens left.`);
+
+				if (target === currentPlayerIndex || !(target >= 0 && target < numPlayers))
+					throw new Error(`${describe} gives a clue to invalid player ${target}.`);
+
+				if (!valid_value || !isCluable(variant, clue))
+					throw new Error(`${describe} gives clue ${JSON.stringify(clue)}, which is not possible in ${variant.name}.`);
+
+				if (!options.emptyClues && !hands[target].some(o => cardTouched(deck[o], variant, clue)))
+					throw new Error(`${describe} gives clue ${JSON.stringify(clue)} to ${players[target]}, which touches no cards, but empty clues are not enabled.`);
+
+				clue_tokens--;
+				break;
+			}
+			case ACTION.END_GAME:
+				if (index !== actions.length - 1)
+					throw new Error(`${describe} ends the game, but is not the last action.`);
+				break;
+
+			default:
+				throw new Error(`${describe} has unknown type ${type}.`);
+		}
+
+		currentPlayerIndex = (currentPlayerIndex + 1) % numPlayers;
+	}
+}
@@ -0,0 +1,244 @@
+/**
+ * @typedef SeedRow
+ * @property {string} seed
+ * @property {number} score
+ * @property {number} max_score
+ * @property {number} strikes
+ * @property {string} result
+ * @property {number} turns
+ * @property {number} clues
+ * @property {number} bombs
+ * @property {number} critical_discards
+ *
+ * @typedef ReportSummary
+ * @property {number} games
+ * @property {number} perfect
+ * @property {number} perfect_rate
+ * @property {number} perfect_rate_se
+ * @property {[number, number]} perfect_rate_95			The Wilson score interval for the perfect rate.
+ * @property {number} average_score
+ * @property {number} score_stddev
+ * @property {number} score_se
+ * @property {Record<number, number>} score_histogram	The number of games ending at each score.
+ * @property {Record<string, number>} results			The number of games in each result bucket.
+ *
+ * @typedef SeedPair
+ * @property {string} seed
+ * @property {number} delta
+ * @property {SeedRow} a
+ * @property {SeedRow} b
+ *
+ * @typedef Comparison
+ * @property {SeedPair[]} pairs 				Sorted by the size of the score difference (largest first).
+ * @property {number} mean_delta
+ * @property {number} delta_se
+ * @property {[number, number]} delta_95
+ * @property {number} better
+ * @property {number} worse
+ * @property {number} same
+ * @property {number} perfect_delta
+ */
+
+export const REPORT_FORMATS = /** @type {const} */ (['json', 'csv', 'md']);
+
+const COLUMNS = /** @type {const} */ (['seed', 'score', 'max_score', 'strikes', 'result', 'turns', 'clues', 'bombs', 'critical_discards']);
+
+/** The z-score for a two-sided 95% interval. */
+const Z_95 = 1.96;
+
+/**
+ * Returns the Wilson score interval for a proportion, which stays within [0, 1] even for small samples.
+ * @param {number} successes
+ * @param {number} n
+ * @param {number} [z]
+ * @returns {[number, number]}
+ */
+export function wilson_interval(successes, n, z = Z_95) {
+	if (n === 0)
+		return [0, 1];
+
+	const p = successes / n;
+	const denominator = 1 + z * z / n;
+	const centre = (p + z * z / (2 * n)) / denominator;
+	const margin = (z / denominator) * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n));
+
+	return [Math.max(0, centre - margin), Math.min(1, centre + margin)];
+}
+
+/**
+ * Computes aggregate statistics over the rows of a self-play run.
+ * @param {SeedRow[]} rows
+ * @returns {ReportSummary}
+ */
+export function summarize(rows) {
+	const games = rows.length;
+	const perfect = rows.filter(row => row.score === row.max_score).length;
+	const perfect_rate = games === 0 ? 0 : perfect / games;
+
+	const average_score = games === 0 ? 0 : rows.reduce((sum, row) => sum + row.score, 0) / games;
+	const variance = games < 2 ? 0 : rows.reduce((sum, row) => sum + (row.score - average_score) ** 2, 0) / (games - 1);
+	const score_stddev = Math.sqrt(variance);
+
+	/** @type {Record<number, number>} */
+	const score_histogram = {};
+
+	/** @type {Record<string, number>} */
+	const results = {};
+
+	for (const { score, result } of rows) {
+		score_histogram[score] = (score_histogram[score] ?? 0) + 1;
+		results[result] = (results[result] ?? 0) + 1;
+	}
+
+	return {
+		games,
+		perfect,
+		perfect_rate,
+		perfect_rate_se: games === 0 ? 0 : Math.sqrt(perfect_rate * (1 - perfect_rate) / games),
+		perfect_rate_95: wilson_interval(perfect, games),
+		average_score,
+		score_stddev,
+		score_se: games === 0 ? 0 : score_stddev / Math.sqrt(games),
+		score_histogram,
+		results
+	};
+}
+
+/**
+ * Pairs up the rows of two runs by seed and computes statistics on the score differences (b - a).
+ * Seeds that only appear in one of the runs are ignored.
+ * @param {SeedRow[]} rowsA
+ * @param {SeedRow[]} rowsB
+ * @returns {Comparison}
+ */
+export function compareRows(rowsA, rowsB) {
+	const seedsA = new Map(rowsA.map(row => [row.seed, row]));
+
+	/** @type {SeedPair[]} */
+	const pairs = [];
+
+	for (const b of rowsB) {
+		const a = seedsA.get(b.seed);
+
+		if (a !== undefined)
+			pairs.push({ seed: b.seed, delta: b.score - a.score, a, b });
+	}
+
+	const n = pairs.length;
+	const mean_delta = n === 0 ? 0 : pairs.reduce((sum, pair) => sum + pair.delta, 0) / n;
+	const variance = n < 2 ? 0 : pairs.reduce((sum, pair) => sum + (pair.delta - mean_delta) ** 2, 0) / (n - 1);
+	const delta_se = n === 0 ? 0 : Math.sqrt(variance / n);
+
+	const is_perfect = (/** @type {SeedRow} */ row) => row.score === row.max_score ? 1 : 0;
+
+	// Stable sort, so ties stay in seed order
+	pairs.sort((p1, p2) => Math.abs(p2.delta) - Math.abs(p1.delta));
+
+	return {
+		pairs,
+		mean_delta,
+		delta_se,
+		delta_95: [mean_delta - Z_95 * delta_se, mean_delta + Z_95 * delta_se],
+		better: pairs.filter(pair => pair.delta > 0).length,
+		worse: pairs.filter(pair => pair.delta < 0).length,
+		same: pairs.filter(pair => pair.delta === 0).length,
+		perfect_delta: pairs.reduce((sum, pair) => sum + is_perfect(pair.b) - is_perfect(pair.a), 0)
+	};
+}
+
+/**
+ * Rounds a number to a fixed number of decimal places for display.
+ * @param {number} num
+ * @param {number} [places]
+ */
+function round(num, places = 4) {
+	return Number(num.toFixed(places));
+}
+
+/**
+ * Escapes a value for use in a CSV cell.
+ * @param {string | number} value
+ */
+function csvCell(value) {
+	const str = String(value);
+	return /[",\n]/.test(str) ? `"${str.replaceAll('"', '""')}"` : str;
+}
+
+/**
+ * Returns the aggregate statistics as a list of [name, value] pairs.
+ * @param {ReportSummary} summary
+ * @returns {[string, string | number][]}
+ */
+function summaryEntries(summary) {
+	const [low, high] = summary.perfect_rate_95;
+
+	return [
+		['games', summary.games],
+		['perfect', summary.perfect],
+		['perfect_rate', round(summary.perfect_rate)],
+		['perfect_rate_se', round(summary.perfect_rate_se)],
+		['perfect_rate_95', `${round(low)}-${round(high)}`],
+		['average_score', round(summary.average_score)],
+		['score_stddev', round(summary.score_stddev)],
+		['score_se', round(summary.score_se)]
+	];
+}
+
+/**
+ * Formats the per-seed rows and aggregate statistics of a self-play run.
+ * @param {typeof REPORT_FORMATS[number]} format
+ * @param {SeedRow[]} rows
+ * @param {Record<string, unknown>} [config] 	Information about how the games were played (e.g. conventions, variant).
+ */
+export function formatReport(format, rows, config = {}) {
+	const summary = summarize(rows);
+
+	switch (format) {
+		case 'json':
+			return JSON.stringify({ config, summary, seeds: rows }, null, '\t') + '\n';
+
+		case 'csv': {
+			const lines = [COLUMNS.join(',')];
+
+			for (const row of rows)
+				lines.push(COLUMNS.map(column => csvCell(row[column])).join(','));
+
+			lines.push('', 'statistic,value');
+
+			for (const [name, value] of summaryEntries(summary))
+				lines.push(`${name},${csvCell(value)}`);
+
+			for (const [score, count] of Object.entries(summary.score_histogram))
+				lines.push(`score_${score},${count}`);
+
+			return lines.join('\n') + '\n';
+		}
+
+		case 'md': {
+			const lines = ['# Self-play report', ''];
+
+			for (const [name, value] of Object.entries(config))
+				lines.push(`- ${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+
+			lines.push('', '## Summary', '', '| Statistic | Value |', '| --- | --- |');
+
+			for (const [name, value] of summaryEntries(summary))
+				lines.push(`| ${name} | ${value} |`);
+
+			lines.push('', '## Score distribution', '', '| Score | Games |', '| --- | --- |');
+
+			for (const [score, count] of Object.entries(summary.score_histogram))
+				lines.push(`| ${score} | ${count} |`);
+
+			lines.push('', '## Seeds', '', `| ${COLUMNS.join(' | ')} |`, `|${' --- |'.repeat(COLUMNS.length)}`);
+
+			for (const row of rows)
+				lines.push(`| ${COLUMNS.map(column => row[column]).join(' | ')} |`);
+
+			return lines.join('\n') + '\n';
+		}
+
+		default:
+			throw new Error(`Unknown report format ${format}. Please use one of ${REPORT_FORMATS.join(', ')}.`);
+	}
+}
@@ -0,0 +1,115 @@
+import * as fs from 'fs';
+
+/**
+ * @typedef Settings
+ * @property {string} convention
+ * @property {number} level
+ * @property {typeof SETTING_OPTIONS.summary[number]} summary 			Where to send the summary after a game.
+ * @property {typeof SETTING_OPTIONS.unsupported[number]} unsupported 	Whether to refuse to /start games the conventions don't support.
+ * @property {number} delay 												How long to wait before taking an action (in ms), unless in a speedrun or short on time.
+ *
+ * @typedef ResolvedSettings
+ * @property {Settings} settings
+ * @property {'table' | 'user' | 'default'} scope 	Where the settings came from.
+ * @property {string} [username] 					The user whose saved settings are used, if the scope is 'user'.
+ */
+
+/** The options that can be set with name=value, and their possible values (the first being the default). */
+export const SETTING_OPTIONS = /** @type {const} */ ({
+	summary: ['chat', 'pm', 'off'],
+	unsupported: ['warn', 'refuse']
+});
+
+/** The longest delay (in ms) that can be set before taking an action. */
+export const MAX_DELAY = 10000;
+
+/**
+ * Remembers the settings chosen for each table and by each user, optionally saving them to a JSON file
+ * so that they survive restarts.
+ */
+export class SettingsStore {
+	/** @type {Record<number, Settings>} */
+	tables = {};
+
+	/** @type {Record<string, Settings>} */
+	users = {};
+
+	/**
+	 * @param {string} [path] 	The JSON file to load from and save to. If not provided, settings are only kept in memory.
+	 */
+	constructor(path) {
+		this.path = path;
+
+		if (path === undefined || !fs.existsSync(path))
+			return;
+
+		try {
+			const { tables = {}, users = {} } = JSON.parse(fs.readFileSync(path, 'utf8'));
+			this.tables = tables;
+			this.users = users;
+		}
+		catch (err) {
+			throw new Error(`Unable to read settings file ${path}: ${err.message}`);
+		}
+	}
+
+	/**
+	 * Returns the settings to use at a table: the table's own settings if they were set,
+	 * otherwise the saved settings of the first user who has any, otherwise the defaults.
+	 * Settings saved before an option existed use the default value for it.
+	 * @param {number | undefined} tableID
+	 * @param {string[]} usernames 	The users whose saved settings apply, in order of priority (e.g. the inviter first).
+	 * @param {Settings} defaults
+	 * @returns {ResolvedSettings}
+	 */
+	resolve(tableID, usernames, defaults) {
+		if (tableID !== undefined && this.tables[tableID] !== undefined)
+			return { settings: { ...defaults, ...this.tables[tableID] }, scope: 'table' };
+
+		const username = usernames.find(name => this.users[name] !== undefined);
+
+		if (username !== undefined)
+			return { settings: { ...defaults, ...this.users[username] }, scope: 'user', username };
+
+		return { settings: { ...defaults }, scope: 'default' };
+	}
+
+	/**
+	 * @param {number} tableID
+	 * @param {Settings} settings
+	 */
+	setTable(tableID, settings) {
+		this.tables[tableID] = { ...settings };
+		this.save();
+	}
+
+	/**
+	 * @param {string} username
+	 * @param {Settings} settings
+	 */
+	setUser(username, settings) {
+		this.users[username] = { ...settings };
+		this.save();
+	}
+
+	/**
+	 * Forgets the settings of tables that no longer exist.
+	 * @param {number[]} tableIDs 	The IDs of all currently open tables.
+	 */
+	prune(tableIDs) {
+		const closed = Object.keys(this.tables).filter(tableID => !tableIDs.includes(Number(tableID)));
+
+		if (closed.length === 0)
+			return;
+
+		for (const tableID of closed)
+			delete this.tables[tableID];
+
+		this.save();
+	}
+
+	save() {
+		if (this.path !== undefined)
+			fs.writeFileSync(this.path, JSON.stringify({ tables: this.tables, users: this.users }, null, '\t') + '\n');
+	}
+}
@@ -5,7 +5,6 @@ import { Player } from '../basics/Player.js';
 import { State } from '../basics/State.js';
 import { ACTION, CLUE } from '../constants.js';
 import { types } from 'node:util';
-import logger from './logger.js';
 
 /**
  * @typedef {typeof import('../constants.js').ACTION} ACTION
@@ -32,7 +31,8 @@ export function parse_args() {
 	const args = /** @type {Record<string, string>} */ ({}), arg_lines = process.argv.slice(2);
 
 	for (const arg_line of arg_lines) {
-		const parts = arg_line.split('=');
+		// Allow arguments to be given in the form --name=value as well
+		const parts = arg_line.replace(/^--/, '').split('=');
 
 		if (parts.length === 2 && arg_line.length >= 3)
 			args[parts[0]] = parts[1];
@@ -42,52 +42,6 @@ export function parse_args() {
 	return args;
 }
 
-/**
- * Sends a private chat message in hanab.live to the recipient.
- * @param {string} recipient
- * @param {string} msg
- */
-export function sendPM(recipient, msg) {
-	sendCmd('chatPM', { msg, recipient, room: 'lobby' });
-}
-
-/**
- * Sends a chat message in hanab.live to the room.
- * @param {number} tableID
- * @param {string} msg
- */
-export function sendChat(tableID, msg) {
-	sendCmd('chat', { msg, room: `table${tableID}` });
-}
-
-const cmdQueue = [];
-let queueTimer;
-
-/**
- * Sends a game command to hanab.live with an object as data.
- * @param {string} command
- * @param {any} arg
- */
-export function sendCmd(command, arg) {
-	cmdQueue.push(command + ' ' + JSON.stringify(arg));
-
-	if (queueTimer === undefined)
-		emptyCmdQueue();
-}
-
-function emptyCmdQueue() {
-	if (cmdQueue.length === 0) {
-		queueTimer = undefined;
-		return;
-	}
-
-	const cmd = cmdQueue.shift();
-	globals.ws.send(cmd);
-	logger.debug('sending cmd', cmd);
-
-	queueTimer = setTimeout(emptyCmdQueue, 500);
-}
-
 /**
  * Creates an array of numbers from start to end, not including end.
  * @param {number} start
@@ -274,6 +228,10 @@ export function performToAction(state, action, playerIndex, deck) {
 		case ACTION.PLAY: {
 			const { suitIndex, rank } = deck[target];
 
+			// Playing a card that isn't in hand is a deck play (only allowed on the last card of the deck)
+			if (!state.hands[playerIndex].some(c => c.order === target) && !(state.options?.deckPlays && state.cardsLeft === 1 && target === deck.length - 1))
+				throw new Error(`Player ${state.playerNames[playerIndex]} cannot play card with order ${target}, as it is not in their hand.`);
+
 			if (state.play_stacks[suitIndex] + 1 === rank)
 				return { type: 'play', playerIndex, order: target, suitIndex, rank };
 			else
@@ -283,18 +241,15 @@ export function performToAction(state, action, playerIndex, deck) {
 			const { suitIndex, rank } = deck[target];
 			return { type: 'discard', playerIndex, order: target, suitIndex, rank, failed: false };
 		}
-		case ACTION.RANK: {
-			const clue = { type: CLUE.RANK, value };
-			const hand = target === state.ourPlayerIndex ? get_own_hand(state, deck) : state.hands[target];
-			const list = hand.clueTouched(clue, state.variant).map(c => c.order);
-
-			return { type: 'clue', giver: playerIndex, target, clue, list };
-		}
+		case ACTION.RANK:
 		case ACTION.COLOUR: {
-			const clue = { type: CLUE.COLOUR, value };
+			const clue = { type: type === ACTION.RANK ? CLUE.RANK : CLUE.COLOUR, value };
 			const hand = target === state.ourPlayerIndex ? get_own_hand(state, deck) : state.hands[target];
 			const list = hand.clueTouched(clue, state.variant).map(c => c.order);
 
+			if (list.length === 0 && !state.options?.emptyClues)
+				throw new Error(`Clue ${JSON.stringify(clue)} to ${state.playerNames[target]} touches no cards, but empty clues are not enabled.`);
+
 			return { type: 'clue', giver: playerIndex, target, clue, list };
 		}
 		case ACTION.END_GAME: {
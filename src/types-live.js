@@ -42,6 +42,15 @@
  * @property {boolean} [allOrNothing]
  * @property {boolean} [detrimentalCharacters]
  * @property {boolean} [speedrun]
+ * @property {boolean} [timed]
+ * @property {number} [timeBase] 		The time each player starts with in a timed game (in seconds).
+ * @property {number} [timePerTurn] 	The time added to a player's clock after each of their turns (in seconds).
+ * 
+ * @typedef ClockData
+ * @property {number} tableID
+ * @property {number[]} times 			The time left on each player's clock (in ms), as of the start of the current turn.
+ * @property {number} activePlayerIndex
+ * @property {number} timeTaken 		The time the active player has taken so far this turn (in ms).
  * 
  * @typedef InitData
  * @property {number} tableID
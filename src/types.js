@@ -58,7 +58,7 @@
  * @property {number} rank
  * 
  * @typedef {CardAction & {type: 'draw'}} DrawAction
- * @typedef {CardAction & {type: 'play'}} PlayAction
+ * @typedef {CardAction & {type: 'play', anxiety?: boolean}} PlayAction
  * @typedef {CardAction & {type: 'identify', infer?: boolean}} IdentifyAction
  * @typedef {{type: 'ignore', conn_index: number, order: number}} IgnoreAction
  * @typedef {{type: 'finesse', list: number[], clue: BaseClue}} FinesseAction
@@ -81,7 +81,7 @@
  */
 /**
  * @typedef Connection
- * @property {'known' | 'playable' | 'prompt' | 'finesse' | 'terminate'} type
+ * @property {'known' | 'playable' | 'prompt' | 'finesse' | 'bluff' | 'terminate'} type
  * @property {number} reacting
  * @property {ActualCard} card
  * @property {Identity[]} identities
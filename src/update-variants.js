@@ -0,0 +1,8 @@
+import { updateCatalogue } from './variants.js';
+
+async function main() {
+	const { variants, colours } = await updateCatalogue();
+	console.log(`Updated local catalogue with ${variants} variants and ${colours} suits.`);
+}
+
+main();
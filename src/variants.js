@@ -1,3 +1,4 @@
+import * as fs from 'fs';
 import * as https from 'https';
 import { CLUE } from './constants.js';
 import { combineRegex } from './tools/util.js';
@@ -27,6 +28,9 @@ import { combineRegex } from './tools/util.js';
 const variantsURL = 'https://raw.githubusercontent.com/Hanabi-Live/hanabi-live/main/packages/game/src/json/variants.json';
 const coloursURL = 'https://raw.githubusercontent.com/Hanabi-Live/hanabi-live/main/packages/game/src/json/suits.json';
 
+const variantsPath = new URL('./data/variants.json', import.meta.url);
+const coloursPath = new URL('./data/suits.json', import.meta.url);
+
 const whitish = /White|Gray|Light|Null/;
 const rainbowish = /Rainbow|Omni/;
 const brownish = /Brown|Muddy|Cocoa|Null/;
@@ -36,79 +40,124 @@ const prism = /Prism/;
 const noColour = combineRegex(whitish, rainbowish, prism);
 export const variantRegexes = {whitish, rainbowish, brownish, pinkish, dark, prism, noColour};
 
-/** @type {Promise<Variant[]>} */
-const variants_promise = new Promise((resolve, reject) => {
-	https.get(variantsURL, (res) => {
-		const { statusCode } = res;
-
-		if (statusCode !== 200) {
-			// Consume response data to free up memory
-			res.resume();
-			reject(`Failed to retrieve variants. Status Code: ${statusCode}`);
-		}
-
-		res.setEncoding('utf8');
-
-		let rawData = '';
-		res.on('data', (chunk) => { rawData += chunk; });
-		res.on('end', () => {
-			try {
-				const parsedData = JSON.parse(rawData);
-				resolve(parsedData);
-			} catch (e) {
-				reject(e.message);
+/**
+ * Retrieves and parses a JSON file from the given url.
+ * @param {string} url
+ * @returns {Promise<any>}
+ */
+function fetchJSON(url) {
+	return new Promise((resolve, reject) => {
+		https.get(url, (res) => {
+			const { statusCode } = res;
+
+			if (statusCode !== 200) {
+				// Consume response data to free up memory
+				res.resume();
+				reject(new Error(`Failed to retrieve ${url}. Status Code: ${statusCode}`));
+				return;
 			}
+
+			res.setEncoding('utf8');
+
+			let rawData = '';
+			res.on('data', (chunk) => { rawData += chunk; });
+			res.on('end', () => {
+				try {
+					resolve(JSON.parse(rawData));
+				} catch (e) {
+					reject(e);
+				}
+			});
+		}).on('error', (e) => {
+			reject(new Error(`Error when retrieving ${url}: ${e.message}`));
 		});
-	}).on('error', (e) => {
-		console.error(`Error when retrieving variants: ${e.message}`);
 	});
-});
+}
 
-/** @type {Promise<Array>} */
-const colours_promise = new Promise((resolve, reject) => {
-	https.get(coloursURL, (res) => {
-		const { statusCode } = res;
+/** @type {Variant[]} */
+let local_variants;
 
-		if (statusCode !== 200) {
-			// Consume response data to free up memory
-			res.resume();
-			reject(`Failed to retrieve colours. Status Code: ${statusCode}`);
-		}
+/** @type {{ name: string, abbreviation?: string }[]} */
+let local_colours;
 
-		res.setEncoding('utf8');
+/** @type {Promise<Variant[]>} */
+let remote_variants;
 
-		let rawData = '';
-		res.on('data', (chunk) => { rawData += chunk; });
-		res.on('end', () => {
-			try {
-				const parsedData = JSON.parse(rawData);
-				resolve(parsedData);
-			} catch (e) {
-				reject(e.message);
-			}
-		});
-	}).on('error', (e) => {
-		console.error(`Error when retrieving colours: ${e.message}`);
-	});
-});
+/** @type {Promise<{ name: string, abbreviation?: string }[]>} */
+let remote_colours;
+
+/**
+ * Returns the local variant catalogue, reading it from disk if necessary.
+ */
+function localVariants() {
+	local_variants ??= JSON.parse(fs.readFileSync(variantsPath, 'utf8'));
+	return local_variants;
+}
+
+/**
+ * Returns the local suit catalogue, reading it from disk if necessary.
+ */
+function localColours() {
+	local_colours ??= JSON.parse(fs.readFileSync(coloursPath, 'utf8'));
+	return local_colours;
+}
+
+/**
+ * Downloads the latest variant and suit catalogues from hanab.live's repository and overwrites the local copies.
+ */
+export async function updateCatalogue() {
+	const [variants, colours] = await Promise.all([fetchJSON(variantsURL), fetchJSON(coloursURL)]);
+
+	fs.writeFileSync(variantsPath, JSON.stringify(variants, null, '\t') + '\n');
+	fs.writeFileSync(coloursPath, JSON.stringify(colours, null, '\t') + '\n');
+
+	local_variants = variants;
+	local_colours = colours;
+
+	return { variants: variants.length, colours: colours.length };
+}
 
 /**
  * Returns a variant's properties, given its name.
+ * 
+ * The local catalogue is checked first. If the variant isn't found there and the 'remote' option is set,
+ * the latest catalogue is downloaded and checked as well. Throws an error if the variant can't be found.
  * @param {string} name
+ * @param {{ remote?: boolean }} [options]
  */
-export async function getVariant(name) {
-	const variants = await variants_promise;
-	return variants.find(variant => variant.name === name);
+export async function getVariant(name, options = {}) {
+	let variant = localVariants().find(v => v.name === name);
+
+	if (variant === undefined && options.remote) {
+		remote_variants ??= fetchJSON(variantsURL);
+		variant = (await remote_variants).find(v => v.name === name);
+	}
+
+	if (variant === undefined) {
+		const hint = options.remote ? '' : ' The bundled catalogue only has a few variants, so try refreshing it with "npm run update-variants".';
+		throw new Error(`Variant "${name}" was not found in the ${options.remote ? 'remote' : 'local'} catalogue.${hint}`);
+	}
+
+	return variant;
 }
 
 export let shortForms = /** @type {string[]} */ (['r', 'y', 'g', 'b', 'p']);
 
 /**
  * Edits shortForms to have the correct acryonyms.
+ * 
+ * Suits missing from the local catalogue are looked up remotely if the 'remote' option is set.
  * @param {Variant} variant
+ * @param {{ remote?: boolean }} [options]
  */
-export async function getShortForms(variant) {
-	const colours = await colours_promise;
+export async function getShortForms(variant, options = {}) {
+	let colours = localColours();
+
+	if (options.remote && variant.suits.some(suitName => !colours.some(colour => colour.name === suitName))) {
+		remote_colours ??= fetchJSON(coloursURL);
+		colours = await remote_colours;
+	}
+
 	const abbreviations = [];
 	for (const suitName of variant.suits) {
 		if (['Black', 'Pink', 'Brown'].includes(suitName)) {
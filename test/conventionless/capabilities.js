@@ -0,0 +1,40 @@
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+
+import HGroup from '../../src/conventions/h-group.js';
+import PlayfulSieve from '../../src/conventions/playful-sieve.js';
+import { getVariant } from '../../src/variants.js';
+
+describe('convention capabilities', () => {
+	it('fully supports regular games', async () => {
+		const variant = await getVariant('No Variant');
+
+		for (const numPlayers of [2, 3, 4, 5, 6])
+			assert.deepEqual(HGroup.checkSupport(numPlayers, variant, {}), { unsupported: [], partial: [] });
+
+		assert.deepEqual(PlayfulSieve.checkSupport(2, variant, {}), { unsupported: [], partial: [] });
+	});
+
+	it('only supports Playful Sieve in 2-player games without All or Nothing', async () => {
+		const variant = await getVariant('No Variant');
+
+		assert.deepEqual(PlayfulSieve.checkSupport(3, variant, {}).unsupported, ['3-player games']);
+		assert.deepEqual(PlayfulSieve.checkSupport(2, variant, { allOrNothing: true }).unsupported, ['All or Nothing']);
+		assert.deepEqual(HGroup.checkSupport(3, variant, { allOrNothing: true }).unsupported, []);
+	});
+
+	it('does not support detrimental characters', async () => {
+		const variant = await getVariant('No Variant');
+
+		assert.deepEqual(HGroup.checkSupport(3, variant, { detrimentalCharacters: true }).unsupported, ['Detrimental Characters']);
+	});
+
+	it('warns about special suits that are only partly supported', async () => {
+		const black = await getVariant('Black (5 Suits)');
+		const rainbow = await getVariant('Rainbow (5 Suits)');
+
+		assert.deepEqual(HGroup.checkSupport(3, black, {}), { unsupported: [], partial: ['dark suits'] });
+		assert.deepEqual(HGroup.checkSupport(3, rainbow, {}), { unsupported: [], partial: [] });
+		assert.deepEqual(PlayfulSieve.checkSupport(2, rainbow, {}).partial, ['rainbow suits']);
+	});
+});
@@ -0,0 +1,97 @@
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+
+import { PLAYER, setup, takeTurn } from '../test-utils.js';
+import HGroup from '../../src/conventions/h-group.js';
+import { ACTION } from '../../src/constants.js';
+import { explainCard, explainHand, explainPlan, gameSummary } from '../../src/tools/explain.js';
+
+import logger from '../../src/tools/logger.js';
+
+logger.setLevel(logger.LEVELS.ERROR);
+
+describe('explanations', () => {
+	it('explains cards using only common knowledge', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r1', 'g3', 'b4', 'y5', 'p2'],
+			['g4', 'b3', 'y2', 'p4', 'r4']
+		], { starting: PLAYER.CATHY });
+
+		takeTurn(game, 'Cathy clues red to Bob');
+
+		const { order } = game.state.hands[PLAYER.BOB][0];
+
+		assert.equal(explainCard(game, order), `Card ${order} (Bob's slot 1, clued): possible [r1,r2,r3,r4,r5], inferred [r1]. Narrowed down on turn 1 (Cathy clues red to Bob).`);
+
+		// Unclued cards only show what everyone knows (i.e. not red), rather than their identity
+		const explanation = explainCard(game, game.state.hands[PLAYER.BOB][1].order);
+		assert.match(explanation, /Bob's slot 2\): possible \[y1,y2,y3,y4,y5,g1,.*\]\. Not narrowed down by any clues yet\.$/);
+
+		assert.equal(explainCard(game, 100), 'Card 100 is not in anyone\'s hand.');
+	});
+
+	it('only shows the cards in a hand to players who can see them', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r1', 'g3', 'b4', 'y5', 'p2'],
+			['g4', 'b3', 'y2', 'p4', 'r4']
+		], { starting: PLAYER.CATHY });
+
+		takeTurn(game, 'Cathy clues red to Bob');
+
+		const to_cathy = explainHand(game, PLAYER.BOB, 'Cathy');
+		const to_bob = explainHand(game, PLAYER.BOB, 'Bob');
+
+		assert.equal(to_cathy.length, 6);
+		assert.match(to_cathy[1], /^Slot 1 \(order \d+\): r1, clued, inferred \[r1\], reasoning on turn 1$/);
+		assert.match(to_cathy[2], /g3/);
+
+		assert.ok(to_bob.slice(1).every(msg => /^Slot \d \(order \d+\): unknown, /.test(msg)));
+		assert.match(to_bob[1], /^Slot 1 \(order \d+\): unknown, clued, inferred \[r1\]/);
+	});
+
+	it('only describes planned clues to spectators', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r1', 'g3', 'b4', 'y5', 'p2'],
+			['g4', 'b3', 'y2', 'p4', 'r4']
+		], { starting: PLAYER.CATHY });
+
+		takeTurn(game, 'Cathy clues 5 to Bob');
+
+		const action = game.take_action(game);
+		assert.ok(action.type === ACTION.COLOUR || action.type === ACTION.RANK);
+
+		const target = game.state.playerNames[action.target];
+		const other = target === 'Bob' ? 'Cathy' : 'Bob';
+
+		// Neither the target nor anyone else playing learns anything about who would be clued
+		assert.equal(explainPlan(game, target), 'Planning to give a clue.');
+		assert.equal(explainPlan(game, other), 'Planning to give a clue.');
+		assert.match(explainPlan(game, 'Spectator'), new RegExp(`^Planning to clue \\w+ to ${target}\\.$`));
+	});
+
+	it('summarizes the score, rewinds and mistakes of a game', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r1', 'g3', 'b4', 'y5', 'p2'],
+			['g4', 'b3', 'y2', 'p4', 'r4']
+		], { starting: PLAYER.CATHY });
+
+		assert.equal(gameSummary(game), 'Game over: 0/25 points with 0 strikes. Rewound 0 times. Mistakes detected: none.');
+
+		takeTurn(game, 'Cathy clues red to Bob');
+		takeTurn(game, 'Alice clues 5 to Bob');
+
+		// Pretend the bot found out Alice's clue was a mistake after rewinding to it twice
+		const clue = game.state.actionList.findLast(action => action.type === 'clue');
+		Object.assign(clue, { mistake: true });
+		game.rewinds = 2;
+		game.rewindTurns = [2, 2];
+		game.state.strikes = 1;
+		game.state.max_ranks[0] = 3;
+
+		assert.equal(gameSummary(game), 'Game over: 0/25 points (23 possible after discards) with 1 strike. Rewound 2 times (to turn 2). Mistakes detected: turn 2.');
+	});
+});
@@ -0,0 +1,67 @@
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+
+import { ACTION } from '../../src/constants.js';
+import { getVariant } from '../../src/variants.js';
+import { validateReplay } from '../../src/tools/replay-validation.js';
+
+/**
+ * @typedef {import('../../src/tools/replay-validation.js').GameExport} GameExport
+ */
+
+/**
+ * Returns an unshuffled No Variant game where the given actions are taken.
+ * @param {GameExport['actions']} actions
+ * @returns {GameExport}
+ */
+function make_replay(actions) {
+	const deck = [];
+
+	for (let suitIndex = 0; suitIndex < 5; suitIndex++) {
+		for (const rank of [1, 1, 1, 2, 2, 3, 3, 4, 4, 5])
+			deck.push({ suitIndex, rank });
+	}
+
+	return { players: ['Alice', 'Bob'], deck, actions, options: { variant: 'No Variant' } };
+}
+
+describe('replay validation', () => {
+	it('accepts legal games', async () => {
+		const variant = await getVariant('No Variant');
+
+		// Alice has r1,r1,r1,r2,r2 (orders 0-4) and Bob has r3,r3,r4,r4,r5 (orders 5-9)
+		const replay = make_replay([
+			{ type: ACTION.PLAY, target: 0, value: 0 },
+			{ type: ACTION.RANK, target: 0, value: 1 },
+			{ type: ACTION.DISCARD, target: 10, value: 0 },
+			{ type: ACTION.END_GAME, target: 1, value: 4 }
+		]);
+
+		assert.doesNotThrow(() => validateReplay(replay, variant));
+	});
+
+	it('rejects decks that do not match the variant', async () => {
+		const variant = await getVariant('Black (5 Suits)');
+
+		assert.throws(() => validateReplay(make_replay([{ type: ACTION.PLAY, target: 0, value: 0 }]), variant), /Deck has 50 cards, but Black \(5 Suits\) has 45 cards/);
+	});
+
+	it('rejects playing cards not in hand', async () => {
+		const variant = await getVariant('No Variant');
+
+		assert.throws(() => validateReplay(make_replay([{ type: ACTION.PLAY, target: 5, value: 0 }]), variant), /Action 0 \(turn 1, Alice\) plays card with order 5, which is not in their hand/);
+	});
+
+	it('rejects discarding at 8 clue tokens', async () => {
+		const variant = await getVariant('No Variant');
+
+		assert.throws(() => validateReplay(make_replay([{ type: ACTION.DISCARD, target: 0, value: 0 }]), variant), /discards while at 8 clue tokens/);
+	});
+
+	it('rejects clues that touch no cards', async () => {
+		const variant = await getVariant('No Variant');
+
+		// Bob has no green cards
+		assert.throws(() => validateReplay(make_replay([{ type: ACTION.COLOUR, target: 1, value: 2 }]), variant), /touches no cards/);
+	});
+});
@@ -0,0 +1,62 @@
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+
+import { compareRows, formatReport, summarize, wilson_interval } from '../../src/tools/report.js';
+
+/**
+ * @typedef {import('../../src/tools/report.js').SeedRow} SeedRow
+ */
+
+/**
+ * @param {string} seed
+ * @param {number} score
+ * @returns {SeedRow}
+ */
+function row(seed, score) {
+	const result = score === 25 ? 'perfect!' : 'out of pace';
+	return { seed, score, max_score: 25, strikes: 0, result, turns: 60, clues: 20, bombs: 0, critical_discards: 0 };
+}
+
+describe('self-play reports', () => {
+	it('computes a wilson interval for the perfect rate', () => {
+		const [low, high] = wilson_interval(5, 10);
+
+		assert.ok(Math.abs(low - 0.2366) < 1e-4);
+		assert.ok(Math.abs(high - 0.7634) < 1e-4);
+
+		// Stays within bounds at the extremes
+		assert.equal(wilson_interval(0, 10)[0], 0);
+		assert.equal(wilson_interval(10, 10)[1], 1);
+	});
+
+	it('summarizes scores', () => {
+		const summary = summarize([row('0', 25), row('1', 23), row('2', 23), row('3', 25)]);
+
+		assert.equal(summary.perfect, 2);
+		assert.equal(summary.perfect_rate, 0.5);
+		assert.equal(summary.average_score, 24);
+		assert.deepEqual(summary.score_histogram, { 23: 2, 25: 2 });
+		assert.deepEqual(summary.results, { 'perfect!': 2, 'out of pace': 2 });
+	});
+
+	it('writes one csv row per seed', () => {
+		const lines = formatReport('csv', [row('0', 25), row('1', 23)]).split('\n');
+
+		assert.equal(lines[0], 'seed,score,max_score,strikes,result,turns,clues,bombs,critical_discards');
+		assert.equal(lines[1], '0,25,25,0,perfect!,60,20,0,0');
+		assert.equal(lines[2], '1,23,25,0,out of pace,60,20,0,0');
+		assert.ok(lines.includes('average_score,24'));
+	});
+});
+
+describe('self-play comparisons', () => {
+	it('pairs seeds and sorts them by the size of the difference', () => {
+		const comparison = compareRows([row('0', 25), row('1', 20), row('2', 23)], [row('0', 24), row('1', 25), row('3', 25)]);
+
+		assert.deepEqual(comparison.pairs.map(pair => pair.seed), ['1', '0']);
+		assert.equal(comparison.mean_delta, 2);
+		assert.equal(comparison.better, 1);
+		assert.equal(comparison.worse, 1);
+		assert.equal(comparison.perfect_delta, 0);
+	});
+});
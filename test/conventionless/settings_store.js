@@ -0,0 +1,75 @@
+import { strict as assert } from 'node:assert';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { after, describe, it } from 'node:test';
+
+import { SettingsStore } from '../../src/tools/settings-store.js';
+
+/**
+ * @typedef {import('../../src/tools/settings-store.js').Settings} Settings
+ */
+
+/** @type {Settings} */
+const defaults = { convention: 'HGroup', level: 1, summary: 'chat', unsupported: 'warn', delay: 2000 };
+
+/**
+ * Returns the default settings with some changed.
+ * @param {Partial<Settings>} changes
+ * @returns {Settings}
+ */
+const with_defaults = (changes) => ({ ...defaults, ...changes });
+
+describe('settings store', () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hanabi-settings-'));
+
+	after(() => fs.rmSync(dir, { recursive: true }));
+
+	it('prefers table settings, then the first user with saved settings, then the defaults', () => {
+		const store = new SettingsStore();
+
+		assert.deepEqual(store.resolve(1, ['Alice', 'Bob'], defaults), { settings: defaults, scope: 'default' });
+
+		store.setUser('Bob', with_defaults({ convention: 'PlayfulSieve' }));
+		assert.deepEqual(store.resolve(1, ['Alice', 'Bob'], defaults), { settings: with_defaults({ convention: 'PlayfulSieve' }), scope: 'user', username: 'Bob' });
+
+		store.setUser('Alice', with_defaults({ convention: 'HGroup', level: 3 }));
+		assert.equal(store.resolve(1, ['Alice', 'Bob'], defaults).username, 'Alice');
+
+		store.setTable(1, with_defaults({ convention: 'HGroup', level: 5 }));
+		assert.deepEqual(store.resolve(1, ['Alice', 'Bob'], defaults), { settings: with_defaults({ convention: 'HGroup', level: 5 }), scope: 'table' });
+		assert.equal(store.resolve(2, ['Alice', 'Bob'], defaults).scope, 'user');
+	});
+
+	it('saves settings to the file and loads them again', () => {
+		const file = path.join(dir, 'settings.json');
+		const store = new SettingsStore(file);
+
+		store.setUser('Alice', with_defaults({ convention: 'HGroup', level: 4 }));
+		store.setTable(7, with_defaults({ convention: 'PlayfulSieve', level: 1 }));
+
+		const reloaded = new SettingsStore(file);
+		assert.deepEqual(reloaded.users, { Alice: with_defaults({ convention: 'HGroup', level: 4 }) });
+		assert.deepEqual(reloaded.tables, { 7: with_defaults({ convention: 'PlayfulSieve', level: 1 }) });
+
+		// Tables that have closed are forgotten, but users are kept
+		reloaded.prune([8]);
+		assert.deepEqual(new SettingsStore(file).tables, {});
+		assert.deepEqual(new SettingsStore(file).users, { Alice: with_defaults({ convention: 'HGroup', level: 4 }) });
+	});
+
+	it('uses the defaults for options that were saved before they existed', () => {
+		const file = path.join(dir, 'old.json');
+		fs.writeFileSync(file, JSON.stringify({ tables: {}, users: { Alice: { convention: 'HGroup', level: 3 } } }));
+
+		const { settings } = new SettingsStore(file).resolve(1, ['Alice'], defaults);
+		assert.deepEqual(settings, { convention: 'HGroup', level: 3, summary: 'chat', unsupported: 'warn', delay: 2000 });
+	});
+
+	it('reports unreadable settings files', () => {
+		const file = path.join(dir, 'broken.json');
+		fs.writeFileSync(file, '{ not json');
+
+		assert.throws(() => new SettingsStore(file), /Unable to read settings file .*broken\.json/);
+	});
+});
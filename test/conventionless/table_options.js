@@ -0,0 +1,106 @@
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+
+import { PLAYER, setup } from '../test-utils.js';
+import HGroup from '../../src/conventions/h-group.js';
+import { take_action } from '../../src/conventions/h-group/take-action.js';
+import { Hand } from '../../src/basics/Hand.js';
+import { ACTION } from '../../src/constants.js';
+import * as Utils from '../../src/tools/util.js';
+
+import logger from '../../src/tools/logger.js';
+
+/**
+ * @typedef {import('../../src/types.js').ClueAction} ClueAction
+ */
+
+logger.setLevel(logger.LEVELS.ERROR);
+
+describe('empty clues', () => {
+	it('only allows empty clues when the option is enabled', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r1', 'r2', 'r3', 'r4', 'r5'],
+		]);
+
+		const { state } = game;
+		const deck = state.hands.flat();
+
+		// Only red and the 5 rank clues touch cards
+		assert.equal(state.allValidClues(PLAYER.BOB).length, 6);
+		assert.throws(() => Utils.performToAction(state, { tableID: -1, type: ACTION.COLOUR, target: PLAYER.BOB, value: 1 }, PLAYER.ALICE, deck));
+
+		state.options = { emptyClues: true };
+
+		// Clue finding still only considers clues that touch cards
+		assert.equal(state.allValidClues(PLAYER.BOB).length, 6);
+		const action = /** @type {ClueAction} */ (Utils.performToAction(state, { tableID: -1, type: ACTION.COLOUR, target: PLAYER.BOB, value: 1 }, PLAYER.ALICE, deck));
+		assert.deepEqual(action.list, []);
+	});
+
+	it('only gives a forced empty clue when the option is enabled', () => {
+		for (const emptyClues of [false, true]) {
+			const game = setup(HGroup, [
+				['xx', 'xx', 'xx', 'xx', 'xx'],
+				['r1', 'r2', 'r3', 'r4', 'r5'],
+			], {
+				init: (state) => {
+					// Bob has no cards left (e.g. in All or Nothing), so no clue can touch anything
+					state.hands[PLAYER.BOB] = new Hand();
+					state.options = { emptyClues };
+				}
+			});
+
+			const action = take_action(game);
+
+			if (emptyClues)
+				assert.equal(action.type, ACTION.RANK);
+			else
+				assert.deepEqual(action, { tableID: -1, type: ACTION.PLAY, target: game.state.hands[PLAYER.ALICE][0].order });
+		}
+	});
+});
+
+describe('deck plays', () => {
+	it('only allows playing the last card of the deck when the option is enabled', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r1', 'r2', 'r3', 'r4', 'r5'],
+		]);
+
+		const { state } = game;
+		const deck = Array.from({ length: state.cardsLeft + state.cardOrder + 1 }, () => ({ suitIndex: 1, rank: 1 }));
+		const last_card = deck.length - 1;
+
+		state.cardsLeft = 1;
+		assert.throws(() => Utils.performToAction(state, { tableID: -1, type: ACTION.PLAY, target: last_card }, PLAYER.ALICE, deck));
+
+		state.options = { deckPlays: true };
+
+		const action = Utils.performToAction(state, { tableID: -1, type: ACTION.PLAY, target: last_card }, PLAYER.ALICE, deck);
+		assert.equal(action.type, 'play');
+	});
+
+	it('blind plays the last card of the deck when every unseen card is playable', () => {
+		// Every 1, 2 and 3 has been played or discarded, and Bob has the other copy of each 4
+		const discarded = ['r', 'y', 'g', 'b', 'p'].flatMap(suit => [`${suit}1`, `${suit}1`, `${suit}2`, `${suit}3`]);
+
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r4', 'y4', 'g4', 'b4', 'p4'],
+		], {
+			play_stacks: [4, 4, 4, 4, 4],
+			discarded,
+			clue_tokens: 0,
+			init: (state) => {
+				// Alice has no cards left, and the deck only has one card (which must be a 5)
+				state.hands[PLAYER.ALICE] = new Hand();
+				state.cardsLeft = 1;
+				state.options = { allOrNothing: true, deckPlays: true };
+			}
+		});
+
+		const action = take_action(game);
+		assert.deepEqual(action, { tableID: -1, type: ACTION.PLAY, target: game.state.cardOrder + 1 });
+	});
+});
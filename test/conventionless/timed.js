@@ -0,0 +1,108 @@
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+
+import { PLAYER, setup } from '../test-utils.js';
+import HGroup from '../../src/conventions/h-group.js';
+import { ACTION, HURRY_TIME } from '../../src/constants.js';
+import * as Utils from '../../src/tools/util.js';
+
+import logger from '../../src/tools/logger.js';
+
+/**
+ * @typedef {import('../../src/types.js').ClueAction} ClueAction
+ */
+
+logger.setLevel(logger.LEVELS.ERROR);
+
+describe('timed games', () => {
+	it('waits before acting unless in a speedrun', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r1', 'g3', 'b4', 'y2', 'p2'],
+			['g4', 'b3', 'y2', 'p4', 'r4']
+		]);
+
+		assert.equal(game.timeLeft(), Infinity);
+		assert.equal(game.actionDelay(), 2000);
+
+		game.moveDelay = 500;
+		assert.equal(game.actionDelay(), 500);
+
+		game.state.options.speedrun = true;
+		assert.equal(game.actionDelay(), 0);
+	});
+
+	it('counts down while it is our turn and hurries when time is short', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r1', 'g3', 'b4', 'y2', 'p2'],
+			['g4', 'b3', 'y2', 'p4', 'r4']
+		]);
+
+		game.updateClock(HURRY_TIME + 10000, false);
+		assert.ok(!game.hurried);
+		assert.equal(game.actionDelay(), 2000);
+
+		// 20 seconds have passed since the clock was updated on our turn
+		game.clock = { remaining: HURRY_TIME + 10000, updated: Date.now() - 20000, running: true };
+		assert.ok(game.timeLeft() < HURRY_TIME);
+		assert.ok(game.hurried);
+		assert.equal(game.actionDelay(), 0);
+	});
+
+	it('still finds urgent saves when hurried', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'b4', 'y2', 'r4', 'p5'],
+			['g4', 'b3', 'y2', 'p4', 'r1']
+		]);
+
+		game.updateClock(1000, true);
+		assert.ok(game.hurried);
+
+		const action = game.take_action(game);
+		assert.deepEqual(action, { tableID: -1, type: ACTION.RANK, target: PLAYER.BOB, value: 5 });
+	});
+
+	it('gives a play clue that is interpreted correctly when hurried', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'b4', 'r1', 'y3', 'p4'],
+			['g4', 'b3', 'y3', 'p3', 'r4']
+		]);
+		const { state } = game;
+
+		game.updateClock(1000, true);
+		assert.ok(game.hurried);
+
+		const action = game.take_action(game);
+		assert.ok(action.type === ACTION.COLOUR || action.type === ACTION.RANK);
+
+		const clue = /** @type {ClueAction} */ (Utils.performToAction(state, action, PLAYER.ALICE, state.hands.flat()));
+		const hypo_game = game.simulate_clue(clue);
+
+		// Every touched card still includes its true identity, and Bob's r1 is known to be playable
+		for (const order of clue.list)
+			assert.ok(hypo_game.common.thoughts[order].inferred.has(state.hands[clue.target].findOrder(order)));
+
+		const r1 = state.hands[PLAYER.BOB][2];
+		assert.ok(hypo_game.common.thinksPlayables(hypo_game.state, PLAYER.BOB).some(c => c.order === r1.order));
+	});
+
+	it('avoids bad touch when giving a play clue in a hurry', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r2', 'g3', 'b4', 'r1', 'p4'],
+			['g4', 'b3', 'y3', 'p3', 'y4']
+		], {
+			play_stacks: [1, 0, 0, 0, 0]
+		});
+
+		game.updateClock(1000, true);
+		assert.ok(game.hurried);
+
+		// Red would also touch the trash r1, so Bob's r2 should be clued with 2 instead
+		const action = game.take_action(game);
+		assert.deepEqual(action, { tableID: -1, type: ACTION.RANK, target: PLAYER.BOB, value: 2 });
+	});
+});
@@ -0,0 +1,22 @@
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+
+import * as Variants from '../../src/variants.js';
+
+describe('local variant catalogue', () => {
+	it('finds variants without network access', async () => {
+		const variant = await Variants.getVariant('Black (5 Suits)');
+
+		assert.deepEqual(variant.suits, ['Red', 'Yellow', 'Green', 'Blue', 'Black']);
+	});
+
+	it('throws a clear error for unknown variants', async () => {
+		await assert.rejects(Variants.getVariant('Not A Real Variant'), /Variant "Not A Real Variant" was not found/);
+	});
+
+	it('sets short forms from the local suit catalogue', async () => {
+		await Variants.getShortForms(await Variants.getVariant('Rainbow (5 Suits)'));
+
+		assert.deepEqual(Variants.shortForms, ['r', 'y', 'g', 'b', 'm']);
+	});
+});
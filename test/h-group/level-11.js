@@ -0,0 +1,331 @@
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+
+import { COLOUR, PLAYER, expandShortCard, setup, takeTurn } from '../test-utils.js';
+import * as ExAsserts from '../extra-asserts.js';
+
+import { CLUE } from '../../src/constants.js';
+import HGroup from '../../src/conventions/h-group.js';
+import { find_clues } from '../../src/conventions/h-group/clue-finder/clue-finder.js';
+
+import logger from '../../src/tools/logger.js';
+
+logger.setLevel(logger.LEVELS.ERROR);
+
+describe('bluffs', () => {
+	it(`doesn't interpret bluffs before level 11`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'r5'],
+			['b1', 'y3', 'g4', 'p3', 'b5']
+		], {
+			level: 6,
+			starting: PLAYER.BOB
+		});
+
+		takeTurn(game, 'Bob clues red to Alice (slot 2)');
+
+		ExAsserts.cardHasInferences(game.common.thoughts[game.state.hands[PLAYER.ALICE][1].order], ['r1']);
+	});
+
+	it('understands a bluff on the next player', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'r5'],
+			['b1', 'y3', 'g4', 'p3', 'b5']
+		], {
+			level: 11,
+			starting: PLAYER.BOB
+		});
+
+		takeTurn(game, 'Bob clues red to Alice (slot 2)');
+
+		// Alice's card could be r1 (direct), or r2 if Cathy is bluffed
+		ExAsserts.cardHasInferences(game.common.thoughts[game.state.hands[PLAYER.ALICE][1].order], ['r1', 'r2']);
+
+		takeTurn(game, 'Cathy plays b1', 'r1');
+
+		// Cathy's blind play didn't connect, so Alice's card is one-away
+		ExAsserts.cardHasInferences(game.common.thoughts[game.state.hands[PLAYER.ALICE][1].order], ['r2']);
+	});
+
+	it('understands a direct play clue when the next player does not blind play', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'r5'],
+			['b1', 'y3', 'g4', 'p3', 'b5']
+		], {
+			level: 11,
+			starting: PLAYER.BOB
+		});
+
+		takeTurn(game, 'Bob clues red to Alice (slot 2)');
+		takeTurn(game, 'Cathy clues 5 to Bob');
+
+		ExAsserts.cardHasInferences(game.common.thoughts[game.state.hands[PLAYER.ALICE][1].order], ['r1']);
+
+		// The bluff is no longer being waited on, and Cathy's b1 isn't expected to play
+		assert.equal(game.common.waiting_connections.length, 0);
+		assert.equal(game.common.thoughts[game.state.hands[PLAYER.CATHY][0].order].finessed, false);
+	});
+
+	it('stops after being bluffed', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r2', 'y4', 'p4', 'b4', 'g5'],
+			['g3', 'y3', 'g4', 'p3', 'b5']
+		], {
+			level: 11,
+			starting: PLAYER.CATHY
+		});
+
+		takeTurn(game, 'Cathy clues red to Bob');
+
+		// Alice can't see r1 anywhere, so she has to blind play
+		assert.equal(game.common.thoughts[game.state.hands[PLAYER.ALICE][0].order].finessed, true);
+
+		takeTurn(game, 'Alice plays b1 (slot 1)');
+
+		// Alice's card didn't connect, so it was a bluff: Bob's card is r2 and Alice doesn't keep playing
+		assert.ok(game.state.hands[PLAYER.ALICE].every(c => !game.common.thoughts[c.order].finessed));
+		ExAsserts.cardHasInferences(game.common.thoughts[game.state.hands[PLAYER.BOB][0].order], ['r2']);
+	});
+
+	it('stops after a 3 bluff', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['y3', 'g4', 'p4', 'b4', 'r5'],
+			['g3', 'y4', 'g4', 'p3', 'b5']
+		], {
+			level: 11,
+			starting: PLAYER.CATHY
+		});
+
+		takeTurn(game, 'Cathy clues 3 to Bob');
+		takeTurn(game, 'Alice plays b1 (slot 1)');
+
+		// A 3 bluff only needs one blind play, even though y3 is two-away
+		assert.ok(game.state.hands[PLAYER.ALICE].every(c => !game.common.thoughts[c.order].finessed));
+		assert.ok(game.common.thoughts[game.state.hands[PLAYER.BOB][0].order].inferred.has(expandShortCard('y3')));
+	});
+
+	it('understands a hard bluff through known cards', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'r5'],
+			['b1', 'r2', 'g4', 'p3', 'b5']
+		], {
+			level: 11,
+			starting: PLAYER.BOB
+		});
+
+		const { common, state } = game;
+
+		// Cathy's r2 is clued and known.
+		state.hands[PLAYER.CATHY][1].clued = true;
+		const card = common.thoughts[state.hands[PLAYER.CATHY][1].order];
+		card.possible = card.possible.intersect(['r1', 'r2', 'r3', 'r4', 'r5'].map(expandShortCard));
+		card.inferred = card.inferred.intersect(['r2'].map(expandShortCard));
+
+		takeTurn(game, 'Bob clues red to Alice (slot 2)');
+		takeTurn(game, 'Cathy plays b1', 'y5');
+
+		// The bluff connects through Cathy's r2
+		ExAsserts.cardHasInferences(common.thoughts[state.hands[PLAYER.ALICE][1].order], ['r3']);
+	});
+
+	it('gives bluffs to the next player', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['b1', 'g3', 'y4', 'p4', 'b4'],
+			['y3', 'r2', 'g4', 'p3', 'g4']
+		], { level: 11 });
+
+		const { play_clues } = find_clues(game);
+		assert.ok(play_clues[PLAYER.CATHY].some(clue => clue.type === CLUE.COLOUR && clue.value === COLOUR.RED));
+	});
+
+	it('gives 3 bluffs to the next player', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['b1', 'g3', 'y4', 'p4', 'b4'],
+			['y3', 'r4', 'g4', 'p3', 'g4']
+		], { level: 11 });
+
+		// Cathy's y3 is two-away, so it can only be bluffed with a 3 clue
+		const { play_clues } = find_clues(game);
+		assert.ok(play_clues[PLAYER.CATHY].some(clue => clue.type === CLUE.RANK && clue.value === 3));
+		assert.ok(!play_clues[PLAYER.CATHY].some(clue => clue.type === CLUE.COLOUR && clue.value === COLOUR.YELLOW));
+	});
+
+	it(`doesn't give bluffs when the next player's finesse position isn't playable`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['b2', 'g3', 'y4', 'p4', 'b4'],
+			['y3', 'r2', 'g4', 'p3', 'g4']
+		], { level: 11 });
+
+		const { play_clues } = find_clues(game);
+		assert.equal(play_clues[PLAYER.CATHY].length, 0);
+	});
+
+	it(`doesn't give bluffs before level 11`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['b1', 'g3', 'y4', 'p4', 'b4'],
+			['y3', 'r2', 'g4', 'p3', 'g4']
+		], { level: 6 });
+
+		const { play_clues } = find_clues(game);
+		assert.ok(!play_clues[PLAYER.CATHY].some(clue => clue.type === CLUE.COLOUR && clue.value === COLOUR.RED));
+	});
+});
+
+describe('trash finesses', () => {
+	it('understands a trash bluff', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'r1'],
+			['g4', 'y3', 'b3', 'p3', 'b5']
+		], {
+			level: 11,
+			play_stacks: [1, 1, 1, 1, 1],
+			starting: PLAYER.CATHY
+		});
+
+		takeTurn(game, 'Cathy clues 1 to Bob');
+
+		// Bob's 1 is trash on chop, so Alice (in the bluff seat) must blind play
+		const card = game.common.thoughts[game.state.hands[PLAYER.ALICE][0].order];
+		assert.equal(card.finessed, true);
+		ExAsserts.cardHasInferences(card, ['r2', 'y2', 'g2', 'b2', 'p2']);
+	});
+
+	it('understands a trash finesse', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r2', 'y4', 'p4', 'b4', 'g4'],
+			['g4', 'y3', 'b3', 'p3', 'b5']
+		], {
+			level: 11,
+			play_stacks: [1, 1, 1, 1, 1],
+			starting: PLAYER.CATHY
+		});
+
+		takeTurn(game, 'Cathy clues 1 to Alice (slot 5)');
+
+		// Alice's 1 is trash on chop, so Bob must blind play
+		const card = game.common.thoughts[game.state.hands[PLAYER.BOB][0].order];
+		assert.equal(card.finessed, true);
+		assert.ok(card.inferred.has(expandShortCard('r2')));
+		assert.equal(game.common.thoughts[game.state.hands[PLAYER.ALICE][0].order].finessed, false);
+	});
+
+	it(`stops waiting on a trash finesse when the blind play doesn't come`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r2', 'y4', 'p4', 'b4', 'g4'],
+			['g4', 'y3', 'b3', 'p3', 'b5']
+		], {
+			level: 11,
+			play_stacks: [1, 1, 1, 1, 1],
+			starting: PLAYER.CATHY
+		});
+
+		takeTurn(game, 'Cathy clues 1 to Alice (slot 5)');
+		takeTurn(game, 'Alice discards r1 (slot 5)');
+		takeTurn(game, 'Bob clues 5 to Cathy');
+
+		// Bob didn't blind play, so his r2 isn't finessed and nobody else has to play (not even Alice's old slot 1)
+		assert.equal(game.common.thoughts[game.state.hands[PLAYER.BOB][0].order].finessed, false);
+		assert.equal(game.common.thoughts[game.state.hands[PLAYER.ALICE][1].order].finessed, false);
+		assert.equal(game.common.waiting_connections.length, 0);
+	});
+
+	it(`doesn't make the bluff seat react to a trash clue when their finesse position isn't playable`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4'],
+			['r2', 'y3', 'b3', 'p3'],
+			['g4', 'y4', 'b4', 'r1']
+		], {
+			level: 11,
+			play_stacks: [1, 1, 1, 1, 1]
+		});
+
+		takeTurn(game, 'Alice clues 1 to Donald');
+
+		// Bob's g3 isn't playable, so Cathy must blind play (a trash finesse)
+		assert.equal(game.common.thoughts[game.state.hands[PLAYER.BOB][0].order].finessed, false);
+		assert.equal(game.common.thoughts[game.state.hands[PLAYER.CATHY][0].order].finessed, true);
+		assert.equal(game.common.waiting_connections[0].connections[0].type, 'finesse');
+	});
+
+	it('understands a trash push in 2 player games', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'r4']
+		], {
+			level: 11,
+			play_stacks: [1, 1, 1, 1, 1],
+			starting: PLAYER.BOB
+		});
+
+		takeTurn(game, 'Bob clues 1 to Alice (slot 5)');
+
+		// Alice's 1 is trash on chop, so the card to its right (wrapping around to slot 1) is pushed
+		const card = game.common.thoughts[game.state.hands[PLAYER.ALICE][0].order];
+		assert.equal(card.finessed, true);
+		ExAsserts.cardHasInferences(card, ['r2', 'y2', 'g2', 'b2', 'p2']);
+	});
+
+	it('understands a trash push when the next player has no finesse position', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r5', 'y5', 'g5', 'b5', 'p5'],
+			['g4', 'y3', 'b3', 'p3', 'b4']
+		], {
+			level: 11,
+			play_stacks: [1, 1, 1, 1, 1]
+		});
+
+		takeTurn(game, 'Alice clues 5 to Bob');
+		takeTurn(game, 'Bob clues 4 to Cathy');
+		takeTurn(game, 'Cathy clues 1 to Alice (slot 5)');
+
+		// Bob can't blind play, so Alice's slot 1 (to the right of the trash) is pushed instead
+		const card = game.common.thoughts[game.state.hands[PLAYER.ALICE][0].order];
+		assert.equal(card.finessed, true);
+		ExAsserts.cardHasInferences(card, ['r2', 'y2', 'g2', 'b2', 'p2']);
+	});
+
+	it(`doesn't interpret trash finesses before level 11`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'r1'],
+			['g4', 'y3', 'b3', 'p3', 'b5']
+		], {
+			level: 6,
+			play_stacks: [1, 1, 1, 1, 1],
+			starting: PLAYER.CATHY
+		});
+
+		takeTurn(game, 'Cathy clues 1 to Bob');
+
+		assert.equal(game.common.thoughts[game.state.hands[PLAYER.ALICE][0].order].finessed, false);
+	});
+
+	it('gives trash bluffs', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r2', 'y4', 'p4', 'b4', 'g4'],
+			['g4', 'y3', 'b3', 'p3', 'r1']
+		], {
+			level: 11,
+			play_stacks: [1, 1, 1, 1, 1]
+		});
+
+		const { play_clues } = find_clues(game);
+		assert.ok(play_clues[PLAYER.CATHY].some(clue => clue.type === CLUE.RANK && clue.value === 1));
+	});
+});
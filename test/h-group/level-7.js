@@ -0,0 +1,447 @@
+import { strict as assert } from 'node:assert';
+import { describe, it } from 'node:test';
+
+import { PLAYER, expandShortCard, setup, takeTurn } from '../test-utils.js';
+import * as ExAsserts from '../extra-asserts.js';
+
+import { ACTION } from '../../src/constants.js';
+import HGroup from '../../src/conventions/h-group.js';
+import { take_action } from '../../src/conventions/h-group/take-action.js';
+
+import logger from '../../src/tools/logger.js';
+
+logger.setLevel(logger.LEVELS.ERROR);
+
+describe('scream discards', () => {
+	it('understands a scream discard', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'r4'],
+			['y1', 'b3', 'g3', 'p3', 'g4']
+		], {
+			level: 7,
+			clue_tokens: 1,
+			starting: PLAYER.BOB
+		});
+
+		takeTurn(game, 'Bob clues yellow to Cathy');
+		takeTurn(game, 'Cathy discards g4', 'r1');
+
+		// Cathy could have played y1, so Alice's chop is moved
+		assert.equal(game.common.thoughts[game.state.hands[PLAYER.ALICE][4].order].chop_moved, true);
+	});
+
+	it(`doesn't interpret scream discards before level 7`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'r4'],
+			['y1', 'b3', 'g3', 'p3', 'g4']
+		], {
+			level: 6,
+			clue_tokens: 1,
+			starting: PLAYER.BOB
+		});
+
+		takeTurn(game, 'Bob clues yellow to Cathy');
+		takeTurn(game, 'Cathy discards g4', 'r1');
+
+		assert.equal(game.common.thoughts[game.state.hands[PLAYER.ALICE][4].order].chop_moved, false);
+	});
+
+	it(`doesn't interpret a discard as a scream when the discarder has nothing to play`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'r4'],
+			['y1', 'b3', 'g3', 'p3', 'g4']
+		], {
+			level: 7,
+			clue_tokens: 0,
+			starting: PLAYER.CATHY
+		});
+
+		takeTurn(game, 'Cathy discards g4', 'r1');
+
+		assert.equal(game.common.thoughts[game.state.hands[PLAYER.ALICE][4].order].chop_moved, false);
+	});
+
+	it('performs a scream discard to save a critical card', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g4', 'y4', 'p4', 'b4', 'r5'],
+			['g3', 'b3', 'g3', 'p3', 'y3']
+		], {
+			level: 7,
+			clue_tokens: 1,
+			starting: PLAYER.CATHY
+		});
+		const { common, state } = game;
+
+		// Alice's chop is known not to be critical.
+		const chop = common.thoughts[state.hands[PLAYER.ALICE][4].order];
+		chop.inferred = chop.inferred.intersect(['r3', 'r4'].map(expandShortCard));
+		chop.possible = chop.possible.intersect(['r3', 'r4'].map(expandShortCard));
+
+		takeTurn(game, 'Cathy clues yellow to Alice (slot 1)');
+
+		// Alice has a playable y1, but should discard her chop so that Bob chop moves r5
+		const action = take_action(game);
+		ExAsserts.objHasProperties(action, { type: ACTION.DISCARD, target: state.hands[PLAYER.ALICE][4].order });
+	});
+
+	it(`doesn't perform a scream discard when our chop could be critical`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g4', 'y4', 'p4', 'b4', 'r5'],
+			['g3', 'b3', 'g3', 'p3', 'y3']
+		], {
+			level: 7,
+			clue_tokens: 1,
+			starting: PLAYER.CATHY
+		});
+
+		takeTurn(game, 'Cathy clues yellow to Alice (slot 1)');
+
+		// Alice's chop could be a 5, so she plays y1 instead
+		const action = take_action(game);
+		ExAsserts.objHasProperties(action, { type: ACTION.PLAY, target: game.state.hands[PLAYER.ALICE][0].order });
+	});
+
+	it(`plays instead of discarding for a locked player when loaded`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r5', 'y5', 'g5', 'b5', 'p5'],
+			['g3', 'b3', 'g3', 'p3', 'y3']
+		], {
+			level: 7,
+			clue_tokens: 2,
+			starting: PLAYER.BOB
+		});
+
+		takeTurn(game, 'Bob clues yellow to Alice (slot 1)');
+		takeTurn(game, 'Cathy clues 5 to Bob');
+
+		// Bob is locked, but discarding while loaded would be a scream, so Alice plays y1
+		const action = take_action(game);
+		ExAsserts.objHasProperties(action, { type: ACTION.PLAY, target: game.state.hands[PLAYER.ALICE][0].order });
+	});
+
+	it(`doesn't perform a scream discard when our chop is critical`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g4', 'y4', 'p4', 'b4', 'r5'],
+			['g3', 'b3', 'g3', 'p3', 'y3']
+		], {
+			level: 7,
+			clue_tokens: 1,
+			starting: PLAYER.CATHY
+		});
+		const { common, state } = game;
+
+		// Alice's chop is known to be b5.
+		const b5 = common.thoughts[state.hands[PLAYER.ALICE][4].order];
+		b5.inferred = b5.inferred.intersect(['b5'].map(expandShortCard));
+		b5.possible = b5.possible.intersect(['b5'].map(expandShortCard));
+
+		takeTurn(game, 'Cathy clues yellow to Alice (slot 1)');
+
+		// Screaming would lose b5, so Alice plays y1 instead
+		const action = take_action(game);
+		ExAsserts.objHasProperties(action, { type: ACTION.PLAY, target: state.hands[PLAYER.ALICE][0].order });
+	});
+});
+
+describe('shout discards', () => {
+	it('understands a shout discard', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'r4'],
+			['y1', 'r1', 'g3', 'p3', 'g4']
+		], {
+			level: 7,
+			clue_tokens: 1,
+			play_stacks: [1, 0, 0, 0, 0],
+			starting: PLAYER.BOB
+		});
+		const { common, state } = game;
+
+		// Cathy's r1 is clued and known.
+		const r1 = common.thoughts[state.hands[PLAYER.CATHY][1].order];
+		r1.inferred = r1.inferred.intersect(['r1'].map(expandShortCard));
+		r1.possible = r1.possible.intersect(['r1'].map(expandShortCard));
+		state.hands[PLAYER.CATHY][1].clued = true;
+
+		takeTurn(game, 'Bob clues yellow to Cathy');
+		takeTurn(game, 'Cathy discards r1', 'b1');
+
+		// Cathy could have played y1, so Alice's chop is moved
+		assert.equal(common.thoughts[state.hands[PLAYER.ALICE][4].order].chop_moved, true);
+	});
+
+	it('performs a shout discard instead of a scream discard', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g4', 'y4', 'p4', 'b4', 'r5'],
+			['g3', 'b3', 'g3', 'p3', 'y3']
+		], {
+			level: 7,
+			clue_tokens: 1,
+			play_stacks: [1, 0, 0, 0, 0],
+			starting: PLAYER.CATHY
+		});
+		const { common, state } = game;
+
+		// Alice's slot 2 is a known r1.
+		const r1 = common.thoughts[state.hands[PLAYER.ALICE][1].order];
+		r1.inferred = r1.inferred.intersect(['r1'].map(expandShortCard));
+		r1.possible = r1.possible.intersect(['r1'].map(expandShortCard));
+		state.hands[PLAYER.ALICE][1].clued = true;
+
+		takeTurn(game, 'Cathy clues yellow to Alice (slot 1)');
+
+		const action = take_action(game);
+		ExAsserts.objHasProperties(action, { type: ACTION.DISCARD, target: state.hands[PLAYER.ALICE][1].order });
+	});
+});
+
+describe(`gentleman's discards`, () => {
+	it(`understands a gentleman's discard to us`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r1', 'y4', 'p4', 'b4', 'g4'],
+			['g3', 'b3', 'p3', 'y3', 'y4']
+		], { level: 7 });
+
+		takeTurn(game, 'Alice clues red to Bob');
+		takeTurn(game, 'Bob discards r1', 'b1');
+
+		// Nobody else has r1 on finesse position, so Alice must have it
+		const card = game.common.thoughts[game.state.hands[PLAYER.ALICE][0].order];
+		assert.equal(card.finessed, true);
+		ExAsserts.cardHasInferences(card, ['r1']);
+	});
+
+	it(`understands a gentleman's discard to someone else`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r1', 'y4', 'p4', 'b4', 'g4'],
+			['r1', 'b3', 'p3', 'y3', 'y4']
+		], { level: 7 });
+
+		takeTurn(game, 'Alice clues red to Bob');
+		takeTurn(game, 'Bob discards r1', 'b1');
+
+		const card = game.common.thoughts[game.state.hands[PLAYER.CATHY][0].order];
+		assert.equal(card.finessed, true);
+		ExAsserts.cardHasInferences(card, ['r1']);
+		assert.equal(game.common.thoughts[game.state.hands[PLAYER.ALICE][0].order].finessed, false);
+	});
+
+	it(`passes a gentleman's discard on when the target doesn't play`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r1', 'y4', 'p4', 'b4', 'g4'],
+			['r1', 'b3', 'p3', 'y3', 'y4']
+		], { level: 7 });
+
+		takeTurn(game, 'Alice clues red to Bob');
+		takeTurn(game, 'Bob discards r1', 'b1');
+		takeTurn(game, 'Cathy clues blue to Bob');
+
+		// Cathy didn't play, so Alice must have the other r1
+		const card = game.common.thoughts[game.state.hands[PLAYER.ALICE][0].order];
+		assert.equal(card.finessed, true);
+		ExAsserts.cardHasInferences(card, ['r1']);
+	});
+
+	it(`passes a gentleman's discard on to the next visible copy`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx'],
+			['r1', 'y4', 'p4', 'b4'],
+			['r1', 'b3', 'p3', 'y3'],
+			['r1', 'g3', 'g4', 'y4']
+		], { level: 7 });
+
+		takeTurn(game, 'Alice clues red to Bob');
+		takeTurn(game, 'Bob discards r1', 'b1');
+		takeTurn(game, 'Cathy clues blue to Bob');
+
+		// Cathy didn't play, so Donald must have the other r1
+		assert.equal(game.common.thoughts[game.state.hands[PLAYER.CATHY][0].order].finessed, false);
+
+		const card = game.common.thoughts[game.state.hands[PLAYER.DONALD][0].order];
+		assert.equal(card.finessed, true);
+		ExAsserts.cardHasInferences(card, ['r1']);
+	});
+
+	it('understands a baton discard', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r3', 'y4', 'p4', 'b4', 'g4'],
+			['r3', 'b3', 'p3', 'y3', 'y4']
+		], {
+			level: 7,
+			play_stacks: [1, 0, 0, 0, 0]
+		});
+
+		takeTurn(game, 'Alice clues red to Bob');
+		takeTurn(game, 'Bob discards r3', 'b1');
+
+		// Cathy's r3 isn't playable yet, so she just knows what it is and keeps it
+		const card = game.common.thoughts[game.state.hands[PLAYER.CATHY][0].order];
+		ExAsserts.cardHasInferences(card, ['r3']);
+		assert.equal(card.finessed, true);
+		assert.equal(game.common.waiting_connections.length, 0);
+	});
+
+	it(`gives gentleman's discards`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'g5'],
+			['r1', 'b3', 'g3', 'p3', 'y3']
+		], {
+			level: 7,
+			clue_tokens: 7,
+			starting: PLAYER.CATHY
+		});
+		const { common, state } = game;
+
+		// Alice's slot 2 is a known r1.
+		const r1 = common.thoughts[state.hands[PLAYER.ALICE][1].order];
+		r1.inferred = r1.inferred.intersect(['r1'].map(expandShortCard));
+		r1.possible = r1.possible.intersect(['r1'].map(expandShortCard));
+		state.hands[PLAYER.ALICE][1].clued = true;
+
+		takeTurn(game, 'Cathy clues 5 to Bob');
+
+		const action = take_action(game);
+		ExAsserts.objHasProperties(action, { type: ACTION.DISCARD, target: state.hands[PLAYER.ALICE][1].order });
+	});
+
+	it(`doesn't give gentleman's discards before level 7`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'g5'],
+			['r1', 'b3', 'g3', 'p3', 'y3']
+		], {
+			level: 6,
+			clue_tokens: 7,
+			starting: PLAYER.CATHY
+		});
+		const { common, state } = game;
+
+		// Alice's slot 2 is a known r1.
+		const r1 = common.thoughts[state.hands[PLAYER.ALICE][1].order];
+		r1.inferred = r1.inferred.intersect(['r1'].map(expandShortCard));
+		r1.possible = r1.possible.intersect(['r1'].map(expandShortCard));
+		state.hands[PLAYER.ALICE][1].clued = true;
+
+		takeTurn(game, 'Cathy clues 5 to Bob');
+
+		const action = take_action(game);
+		assert.notEqual(action.type, ACTION.DISCARD);
+	});
+});
+
+describe('anxiety plays', () => {
+	it('performs an anxiety play when locked with only critical cards', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'g4'],
+			['g3', 'b3', 'p3', 'y3', 'y4']
+		], {
+			level: 7,
+			clue_tokens: 1,
+			play_stacks: [4, 0, 0, 0, 0],
+			starting: PLAYER.BOB
+		});
+
+		takeTurn(game, 'Bob clues 5 to Alice (slots 1,2,3,4,5)');
+
+		// Alice can't discard a 5, so she blind plays one instead
+		const action = take_action(game);
+		ExAsserts.objHasProperties(action, { type: ACTION.PLAY, target: game.state.hands[PLAYER.ALICE][0].order });
+	});
+
+	it(`doesn't perform anxiety plays before level 7`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['g3', 'y4', 'p4', 'b4', 'g4'],
+			['g3', 'b3', 'p3', 'y3', 'y4']
+		], {
+			level: 6,
+			clue_tokens: 1,
+			play_stacks: [4, 0, 0, 0, 0],
+			starting: PLAYER.BOB
+		});
+
+		takeTurn(game, 'Bob clues 5 to Alice (slots 1,2,3,4,5)');
+
+		const action = take_action(game);
+		assert.equal(action.type, ACTION.DISCARD);
+	});
+
+	it('understands an anxiety play', () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r5', 'y5', 'g5', 'b5', 'p5'],
+			['g3', 'b3', 'p3', 'y3', 'y4']
+		], {
+			level: 7,
+			clue_tokens: 1,
+			play_stacks: [4, 0, 0, 0, 0]
+		});
+
+		takeTurn(game, 'Alice clues 5 to Bob');
+		takeTurn(game, 'Bob plays r5', 'b1');
+
+		assert.equal(game.last_actions[PLAYER.BOB].anxiety, true);
+	});
+
+	it(`doesn't interpret an anxiety play when the locked player could discard a non-critical card`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r4', 'y4', 'g4', 'b4', 'p4'],
+			['g3', 'b3', 'p3', 'y3', 'y4']
+		], {
+			level: 7,
+			clue_tokens: 1,
+			play_stacks: [3, 0, 0, 0, 0]
+		});
+
+		takeTurn(game, 'Alice clues 4 to Bob');
+		takeTurn(game, 'Bob plays r4', 'b1');
+
+		assert.equal(game.last_actions[PLAYER.BOB].anxiety, undefined);
+	});
+
+	it(`doesn't confirm a finesse when an anxiety play happens to connect`, () => {
+		const game = setup(HGroup, [
+			['xx', 'xx', 'xx', 'xx', 'xx'],
+			['r1', 'r2', 'g5', 'b5', 'p5'],
+			['r3', 'g3', 'b3', 'p3', 'y3']
+		], {
+			level: 7,
+			clue_tokens: 2,
+			discarded: ['r1', 'r1', 'r2', 'y2'],
+			starting: PLAYER.CATHY
+		});
+
+		takeTurn(game, 'Cathy clues 5 to Bob');
+		takeTurn(game, 'Alice clues red to Cathy');
+
+		// Bob's finessed slot 1 could be r1 or y2 (both critical), so he is locked rather than loaded
+		const r1 = game.common.thoughts[game.state.hands[PLAYER.BOB][0].order];
+		r1.inferred = r1.possible.intersect(['r1', 'y2'].map(expandShortCard));
+
+		takeTurn(game, 'Bob plays r1', 'b1');
+
+		assert.equal(game.last_actions[PLAYER.BOB].anxiety, true);
+
+		// Cathy's card is still either r2 or r3, and we've moved on to waiting for Bob's r2
+		ExAsserts.cardHasInferences(game.common.thoughts[game.state.hands[PLAYER.CATHY][0].order], ['r2', 'r3']);
+		assert.equal(game.common.waiting_connections.length, 1);
+
+		const { connections, conn_index } = game.common.waiting_connections[0];
+		assert.equal(connections[conn_index].card.order, game.state.hands[PLAYER.BOB][1].order);
+	});
+});
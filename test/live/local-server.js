@@ -0,0 +1,569 @@
+import { strict as assert } from 'node:assert';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { after, before, describe, it } from 'node:test';
+import WebSocket from 'ws';
+
+import { ACTION, BOT_VERSION, END_CONDITION } from '../../src/constants.js';
+import { Session } from '../../src/command-handler.js';
+import { LocalServer } from '../../src/tools/local-server.js';
+import logger from '../../src/tools/logger.js';
+
+logger.setLevel(logger.LEVELS.ERROR);
+
+/**
+ * @typedef {{command: string, data: any}} Message
+ *
+ * @typedef Client
+ * @property {WebSocket} ws
+ * @property {(command: string, data: any) => void} send
+ * @property {(command: string, predicate?: (data: any) => boolean) => Promise<any>} waitFor
+ * Resolves with the data of the first unseen message of the given command (that satisfies the predicate).
+ */
+
+/**
+ * Logs in to the local server and opens a websocket for the user.
+ * @param {number} port
+ * @param {string} username
+ * @param {(message: Message) => void} [onMessage] 	Called on every message received.
+ * @returns {Promise<Client>}
+ */
+async function connect(port, username, onMessage = () => {}) {
+	const res = await fetch(`http://127.0.0.1:${port}/login`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+		body: `username=${username}&password=password&version=bot`
+	});
+
+	const ws = new WebSocket(`ws://127.0.0.1:${port}/ws`, { headers: { Cookie: res.headers.get('set-cookie') } });
+
+	/** @type {Message[]} */
+	const messages = [];
+
+	/** @type {{command: string, predicate: (data: any) => boolean, resolve: (data: any) => void}[]} */
+	let waiters = [];
+
+	ws.on('message', (raw) => {
+		const str = raw.toString();
+		const ind = str.indexOf(' ');
+		const message = { command: str.slice(0, ind), data: JSON.parse(str.slice(ind + 1)) };
+
+		onMessage(message);
+
+		const waiter = waiters.find(w => w.command === message.command && w.predicate(message.data));
+
+		if (waiter !== undefined) {
+			waiters = waiters.filter(w => w !== waiter);
+			waiter.resolve(message.data);
+		}
+		else {
+			messages.push(message);
+		}
+	});
+
+	await new Promise((resolve, reject) => {
+		ws.once('open', resolve);
+		ws.once('error', reject);
+	});
+
+	return {
+		ws,
+		send: (command, data) => ws.send(`${command} ${JSON.stringify(data)}`),
+		waitFor: (command, predicate = () => true) => new Promise(resolve => {
+			const index = messages.findIndex(m => m.command === command && predicate(m.data));
+
+			if (index !== -1)
+				resolve(messages.splice(index, 1)[0].data);
+			else
+				waiters.push({ command, predicate, resolve });
+		})
+	};
+}
+
+describe('local server', () => {
+	/** @type {LocalServer} */
+	let server;
+
+	/** @type {number} */
+	let port;
+
+	before(async () => {
+		server = new LocalServer({ seed: '1' });
+		port = await server.listen();
+	});
+
+	after(() => server.close());
+
+	it('rejects websockets without logging in', async () => {
+		const ws = new WebSocket(`ws://127.0.0.1:${port}/ws`);
+
+		await assert.rejects(new Promise((resolve, reject) => {
+			ws.once('open', resolve);
+			ws.once('error', reject);
+		}), /401/);
+	});
+
+	it('deals from the seed and hides cards from their owner', async () => {
+		const alice = await connect(port, 'Alice');
+		const bob = await connect(port, 'Bob');
+
+		const { username } = await alice.waitFor('welcome');
+		assert.equal(username, 'Alice');
+
+		alice.send('tableCreate', { name: 'test', maxPlayers: 2 });
+		const { tableID } = await alice.waitFor('joined');
+
+		bob.send('tableJoin', { tableID });
+		await bob.waitFor('joined');
+
+		alice.send('tableStart', { tableID });
+		await bob.waitFor('tableStart');
+
+		bob.send('getGameInfo1', { tableID });
+		const init = await bob.waitFor('init');
+
+		assert.deepEqual(init.playerNames, ['Alice', 'Bob']);
+		assert.equal(init.ourPlayerIndex, 1);
+		assert.equal(init.seed, 'p2v0s1');
+
+		bob.send('getGameInfo2', { tableID });
+		const { list } = await bob.waitFor('gameActionList');
+		const draws = list.filter(action => action.type === 'draw');
+
+		assert.equal(draws.length, 10);
+		assert.ok(draws.filter(draw => draw.playerIndex === 0).every(draw => draw.suitIndex !== -1));
+		assert.ok(draws.filter(draw => draw.playerIndex === 1).every(draw => draw.suitIndex === -1));
+		assert.deepEqual(list.at(-1), { type: 'turn', num: 0, currentPlayerIndex: 0 });
+
+		// Bob cannot act on Alice's turn
+		bob.send('action', { tableID, type: ACTION.DISCARD, target: 5 });
+		const { warning } = await bob.waitFor('warning');
+		assert.equal(warning, 'It is not your turn.');
+
+		// Alice cannot discard at 8 clues
+		alice.send('action', { tableID, type: ACTION.DISCARD, target: 0 });
+		assert.equal((await alice.waitFor('warning')).warning, 'You cannot discard while at 8 clues.');
+
+		alice.send('action', { tableID, type: ACTION.RANK, target: 1, value: server.tables[tableID].game.deck[5].rank });
+		const { action } = await bob.waitFor('gameAction', ({ action }) => action.type === 'clue');
+		assert.ok(action.list.includes(5));
+
+		alice.ws.close();
+		bob.ws.close();
+	});
+
+	it('plays a full game with the bot', { timeout: 120000 }, async () => {
+		/** @type {{clues: number, hand: number[], botCards: Record<number, number>, tableID: number}} */
+		const human = { clues: 8, hand: [], botCards: {}, tableID: -1 };
+
+		// Alice gives a rank clue to the bot when at 8 clues, and otherwise discards her oldest card
+		const onAction = (/** @type {import('../../src/types.js').Action} */ action) => {
+			switch (action.type) {
+				case 'draw':
+					if (action.playerIndex === 0)
+						human.hand.push(action.order);
+					else
+						human.botCards[action.order] = action.rank;
+					break;
+
+				case 'play':
+				case 'discard':
+					if (action.playerIndex === 0)
+						human.hand = human.hand.filter(order => order !== action.order);
+					else
+						delete human.botCards[action.order];
+					break;
+
+				case 'status':
+					human.clues = action.clues;
+					break;
+
+				case 'turn':
+					if (action.currentPlayerIndex === 0) {
+						const { tableID } = human;
+
+						if (human.clues === 8)
+							alice.send('action', { tableID, type: ACTION.RANK, target: 1, value: Object.values(human.botCards)[0] });
+						else
+							alice.send('action', { tableID, type: ACTION.DISCARD, target: human.hand[0] });
+					}
+					break;
+			}
+		};
+
+		const onMessage = (/** @type {Message} */ { command, data }) => {
+			if (command === 'gameActionList')
+				data.list.forEach(onAction);
+			else if (command === 'gameAction')
+				onAction(data.action);
+		};
+
+		const session = new Session();
+		const bot = await connect(port, 'will-bot-test', ({ command, data }) => session.dispatch(command, data));
+		session.ws = bot.ws;
+
+		const alice = await connect(port, 'Alice', onMessage);
+
+		alice.send('tableCreate', { name: 'bot game', maxPlayers: 2, options: { speedrun: true } });
+		human.tableID = (await alice.waitFor('joined')).tableID;
+
+		alice.send('chatPM', { msg: '/join', recipient: 'will-bot-test', room: 'lobby' });
+		await alice.waitFor('table', table => table.id === human.tableID && table.players.includes('will-bot-test'));
+
+		alice.send('chatPM', { msg: '/settings HGroup 2', recipient: 'will-bot-test', room: 'lobby' });
+		const reply = await alice.waitFor('chat', chat => chat.who === 'will-bot-test');
+		assert.equal(reply.msg, 'Currently playing with HGroup 2 conventions (set for this table). These are also saved as your settings for future tables.');
+
+		alice.send('tableStart', { tableID: human.tableID });
+		await alice.waitFor('tableStart');
+		alice.send('getGameInfo2', { tableID: human.tableID });
+
+		const { action } = await alice.waitFor('gameAction', ({ action }) => action.type === 'gameOver');
+		const { game } = server.tables[human.tableID];
+
+		assert.ok([END_CONDITION.NORMAL, END_CONDITION.STRIKEOUT].includes(action.endCondition));
+
+		// The bot tracked the whole game
+		assert.equal(session.games[human.tableID].state.score, game.play_stacks.reduce((sum, stack) => sum + stack));
+		assert.equal(session.games[human.tableID].state.turn_count, game.turn);
+
+		// The bot posts a summary to the table
+		const summary = await alice.waitFor('chat', chat => chat.who === 'will-bot-test' && chat.room === `table${human.tableID}`);
+		assert.match(summary.msg, new RegExp(`^Game over: ${game.play_stacks.reduce((sum, stack) => sum + stack)}/25 points( \\(\\d+ possible after discards\\))? with ${game.strikes} strikes?\\.`));
+
+		alice.ws.close();
+		bot.ws.close();
+	});
+
+	it('tracks its clock in timed games', { timeout: 30000 }, async () => {
+		const session = new Session();
+		const bot = await connect(port, 'will-bot-test', ({ command, data }) => session.dispatch(command, data));
+		session.ws = bot.ws;
+
+		const alice = await connect(port, 'Alice');
+
+		alice.send('tableCreate', { name: 'timed', maxPlayers: 2, options: { timed: true, timeBase: 120, timePerTurn: 20 } });
+		const { tableID } = await alice.waitFor('joined');
+
+		alice.send('chatPM', { msg: '/join', recipient: 'will-bot-test', room: 'lobby' });
+		await alice.waitFor('table', table => table.id === tableID && table.players.includes('will-bot-test'));
+
+		alice.send('chatPM', { msg: '/settings delay=0', recipient: 'will-bot-test', room: 'lobby' });
+		assert.match((await alice.waitFor('chat', chat => chat.who === 'will-bot-test')).msg, /Actions are taken after 0ms\./);
+
+		alice.send('tableStart', { tableID });
+		await alice.waitFor('tableStart');
+		alice.send('getGameInfo2', { tableID });
+
+		while (session.games[tableID]?.state?.actionList.length === undefined || session.games[tableID].state.actionList.length === 0)
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+		const game = session.games[tableID];
+		assert.equal(game.moveDelay, 0);
+		assert.equal(game.clock.remaining, 120000);
+
+		const { deck, hands } = server.tables[tableID].game;
+		alice.send('action', { tableID, type: ACTION.RANK, target: 1, value: deck[hands[1][0]].rank });
+
+		// After the bot acts, it gains time for its next turn
+		await alice.waitFor('clock', ({ activePlayerIndex, times }) => activePlayerIndex === 0 && times[1] > 120000);
+
+		while (game.clock.running)
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+		assert.ok(game.clock.remaining > 120000 && game.clock.remaining <= 140000);
+		assert.ok(!game.hurried);
+
+		alice.send('tableTerminate', { tableID });
+		await alice.waitFor('gameAction', ({ action }) => action.type === 'gameOver');
+
+		alice.ws.close();
+		bot.ws.close();
+	});
+
+	it('joins several tables at once and applies commands to the sender\'s table', { timeout: 30000 }, async () => {
+		const session = new Session();
+		const bot = await connect(port, 'will-bot-test', ({ command, data }) => session.dispatch(command, data));
+		session.ws = bot.ws;
+
+		const alice = await connect(port, 'Alice');
+		const bob = await connect(port, 'Bob');
+
+		/** @type {Record<string, number>} */
+		const tableIDs = {};
+
+		for (const [name, user] of /** @type {const} */ ([['Alice', alice], ['Bob', bob]])) {
+			user.send('tableCreate', { name: `${name}'s table`, maxPlayers: 2 });
+			tableIDs[name] = (await user.waitFor('joined')).tableID;
+
+			user.send('chatPM', { msg: '/join', recipient: 'will-bot-test', room: 'lobby' });
+			await user.waitFor('table', table => table.id === tableIDs[name] && table.players.includes('will-bot-test'));
+		}
+
+		assert.deepEqual(Object.keys(session.games).map(Number), [tableIDs.Alice, tableIDs.Bob]);
+
+		bob.send('chatPM', { msg: '/settings PlayfulSieve', recipient: 'will-bot-test', room: 'lobby' });
+		assert.equal((await bob.waitFor('chat', chat => chat.who === 'will-bot-test')).msg, 'Currently playing with PlayfulSieve conventions (set for this table). These are also saved as your settings for future tables.');
+
+		assert.equal(session.tableSettings[tableIDs.Alice].settings.convention, 'HGroup');
+		assert.equal(session.tableSettings[tableIDs.Bob].settings.convention, 'PlayfulSieve');
+		assert.deepEqual(session.store.users, { Bob: { convention: 'PlayfulSieve', level: 1, summary: 'chat', unsupported: 'warn', delay: 2000 } });
+
+		// Options can be changed without changing the conventions
+		bob.send('chatPM', { msg: '/settings summary=pm', recipient: 'will-bot-test', room: 'lobby' });
+		assert.equal((await bob.waitFor('chat', chat => chat.who === 'will-bot-test')).msg,
+			'Currently playing with PlayfulSieve conventions (set for this table). Post-game summaries are sent by PM to whoever invited the bot. These are also saved as your settings for future tables.');
+
+		alice.send('chatPM', { msg: '/leave', recipient: 'will-bot-test', room: 'lobby' });
+
+		while (server.tables[tableIDs.Alice].players.length > 1)
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+		assert.deepEqual(server.tables[tableIDs.Bob].players, ['Bob', 'will-bot-test']);
+		assert.deepEqual(Object.keys(session.games).map(Number), [tableIDs.Bob]);
+
+		alice.send('chatPM', { msg: '/start', recipient: 'will-bot-test', room: 'lobby' });
+		assert.equal((await alice.waitFor('chat', chat => chat.who === 'will-bot-test')).msg, 'Could not start, as the bot is not in a room with you.');
+
+		alice.ws.close();
+		bob.ws.close();
+		bot.ws.close();
+	});
+
+	it('warns about tables the conventions don\'t support and can refuse to start them', { timeout: 30000 }, async () => {
+		const session = new Session();
+		const bot = await connect(port, 'will-bot-test', ({ command, data }) => session.dispatch(command, data));
+		session.ws = bot.ws;
+
+		const alice = await connect(port, 'Alice');
+
+		alice.send('tableCreate', { name: 'unsupported', maxPlayers: 2, options: { variantName: 'Black (5 Suits)', allOrNothing: true } });
+		const { tableID } = await alice.waitFor('joined');
+
+		/** @param {string} start */
+		const tableChat = (start) => alice.waitFor('chat', chat => chat.room === `table${tableID}` && chat.msg.startsWith(start));
+
+		alice.send('chatPM', { msg: '/join', recipient: 'will-bot-test', room: 'lobby' });
+		assert.equal((await tableChat('Note')).msg, 'Note: HGroup conventions only partly support dark suits, so the bot may make mistakes.');
+
+		alice.send('chatPM', { msg: '/settings PlayfulSieve unsupported=refuse', recipient: 'will-bot-test', room: 'lobby' });
+		assert.equal((await tableChat('Warning')).msg, 'Warning: PlayfulSieve conventions don\'t support All or Nothing. The bot will not /start this game.');
+
+		alice.send('chatPM', { msg: '/start', recipient: 'will-bot-test', room: 'lobby' });
+		await alice.waitFor('chat', chat => chat.who === 'will-bot-test' && chat.msg.startsWith('Could not start'));
+		assert.equal(server.tables[tableID].running, false);
+
+		alice.ws.close();
+		bot.ws.close();
+	});
+
+	it('coordinates table commands between bots in the same process', { timeout: 30000 }, async () => {
+		const sessions = [new Session(), new Session()];
+		const bots = [];
+
+		for (const [i, session] of sessions.entries()) {
+			session.group = sessions;
+			bots.push(await connect(port, `will-bot-test${i + 1}`, ({ command, data }) => session.dispatch(command, data)));
+			session.ws = bots[i].ws;
+		}
+
+		const alice = await connect(port, 'Alice');
+
+		alice.send('tableCreate', { name: 'two bots', maxPlayers: 3 });
+		const { tableID } = await alice.waitFor('joined');
+
+		for (const name of ['will-bot-test1', 'will-bot-test2']) {
+			alice.send('chatPM', { msg: '/join', recipient: name, room: 'lobby' });
+			await alice.waitFor('table', table => table.id === tableID && table.players.includes(name));
+		}
+
+		alice.send('chat', { msg: '/setall PlayfulSieve', room: `table${tableID}` });
+		const reply = await alice.waitFor('chat', chat => chat.who.startsWith('will-bot'));
+
+		assert.equal(reply.msg, 'Currently playing with PlayfulSieve conventions (set for this table).');
+		assert.ok(sessions.every(session => session.tableSettings[tableID].settings.convention === 'PlayfulSieve'));
+
+		const warning = await alice.waitFor('chat', chat => chat.who.startsWith('will-bot'));
+		assert.equal(warning.msg, 'Warning: PlayfulSieve conventions don\'t support 3-player games.');
+
+		alice.send('chat', { msg: '/leaveall', room: `table${tableID}` });
+
+		while (server.tables[tableID].players.length > 1)
+			await new Promise(resolve => setTimeout(resolve, 50));
+
+		assert.ok(sessions.every(session => session.games[tableID] === undefined));
+
+		// Only one of the bots replied to the room and warned about the conventions
+		assert.equal(await Promise.race([
+			alice.waitFor('chat', chat => chat.who.startsWith('will-bot')).then(() => 'replied twice'),
+			new Promise(resolve => setTimeout(() => resolve('replied once'), 1000))
+		]), 'replied once');
+
+		alice.ws.close();
+		bots.forEach(bot => bot.ws.close());
+	});
+});
+
+describe('bot process', () => {
+	/** @type {LocalServer} */
+	let server;
+
+	/** @type {number} */
+	let port;
+
+	before(async () => {
+		server = new LocalServer({ accounts: { 'will-bot-test': 'secret', Alice: 'password' } });
+		port = await server.listen();
+	});
+
+	/** @type {import('node:child_process').ChildProcess[]} */
+	const bots = [];
+
+	after(() => {
+		// Bots that are still running (e.g. from a failed test) would keep the tests from finishing
+		for (const bot of bots)
+			bot.kill();
+
+		return server.close();
+	});
+
+	/**
+	 * Starts the bot in a separate process, connected to the local server.
+	 * @param {string} password
+	 */
+	const spawn_bot = (password) => {
+		const bot = spawn(process.execPath, ['src/hanabi-bot.js', `server=http://127.0.0.1:${port}`], {
+			env: Object.assign({}, process.env, { HANABI_USERNAME: 'will-bot-test', HANABI_PASSWORD: password }),
+			stdio: ['pipe', 'pipe', 'pipe']
+		});
+
+		bots.push(bot);
+		return bot;
+	};
+
+	/**
+	 * Resolves once the bot process has established its websocket connection.
+	 * @param {import('node:child_process').ChildProcess} bot
+	 */
+	const connected = (bot) => new Promise(resolve => {
+		bot.stdout.on('data', (data) => {
+			if (String(data).includes('Established websocket connection!'))
+				resolve(undefined);
+		});
+	});
+
+	it('reports login failures clearly', async () => {
+		const bot = spawn_bot('wrong');
+
+		let stderr = '';
+		bot.stderr.on('data', (data) => stderr += data);
+
+		const [code] = await once(bot, 'exit');
+
+		assert.equal(code, 1);
+		assert.match(stderr, /Failed to log in to 127\.0\.0\.1:\d+ as will-bot-test \(status code 401\): That is not the correct password\./);
+	});
+
+	it('logs in and responds to commands', { timeout: 30000 }, async () => {
+		const bot = spawn_bot('secret');
+
+		try {
+			await connected(bot);
+
+			const alice = await connect(port, 'Alice');
+
+			alice.send('chatPM', { msg: '/version', recipient: 'will-bot-test', room: 'lobby' });
+			const reply = await alice.waitFor('chat', chat => chat.who === 'will-bot-test');
+
+			assert.equal(reply.msg, `v${BOT_VERSION}`);
+			alice.ws.close();
+		}
+		finally {
+			bot.kill();
+		}
+	});
+
+	it('reconnects and rejoins its game after the connection drops', { timeout: 30000 }, async () => {
+		const bot = spawn_bot('secret');
+
+		/** @type {string[]} */
+		const botCommands = [];
+		const onCommand = server.onCommand.bind(server);
+
+		server.onCommand = (username, command, data) => {
+			if (username === 'will-bot-test')
+				botCommands.push(command);
+
+			onCommand(username, command, data);
+		};
+
+		try {
+			await connected(bot);
+
+			const alice = await connect(port, 'Alice');
+
+			alice.send('tableCreate', { name: 'reconnect', maxPlayers: 2, options: { speedrun: true } });
+			const { tableID } = await alice.waitFor('joined');
+
+			alice.send('chatPM', { msg: '/join', recipient: 'will-bot-test', room: 'lobby' });
+			await alice.waitFor('table', table => table.id === tableID && table.players.includes('will-bot-test'));
+
+			alice.send('tableStart', { tableID });
+			await alice.waitFor('tableStart');
+			alice.send('getGameInfo2', { tableID });
+			await alice.waitFor('gameActionList');
+
+			const { game } = server.tables[tableID];
+			const botAction = () => alice.waitFor('gameAction', ({ action }) => ['clue', 'play', 'discard'].includes(action.type) && (action.giver ?? action.playerIndex) === 1);
+
+			alice.send('action', { tableID, type: ACTION.RANK, target: 1, value: game.deck[game.hands[1][0]].rank });
+			await botAction();
+
+			// Drop the connection and forget the session, so the bot must log in again
+			const loaded = botCommands.filter(command => command === 'getGameInfo2').length;
+			server.sessions.clear();
+			server.connections.get('will-bot-test').terminate();
+
+			while (botCommands.filter(command => command === 'getGameInfo2').length === loaded)
+				await new Promise(resolve => setTimeout(resolve, 50));
+
+			assert.ok(botCommands.includes('tableReattend'));
+
+			// The bot caught up and continues playing
+			alice.send('action', { tableID, type: ACTION.RANK, target: 1, value: game.deck[game.hands[1][0]].rank });
+			await botAction();
+
+			assert.equal(game.turn, 4);
+			alice.ws.close();
+		}
+		finally {
+			server.onCommand = onCommand;
+			bot.kill();
+		}
+	});
+
+	it('stops reconnecting when it is still rejected after logging in again', { timeout: 30000 }, async () => {
+		const bot = spawn_bot('secret');
+
+		let stderr = '';
+		bot.stderr.on('data', (data) => stderr += data);
+
+		try {
+			await connected(bot);
+
+			// Change the password and drop the connection, so the bot can't log in again
+			server.accounts['will-bot-test'] = 'changed';
+			server.sessions.clear();
+			server.connections.get('will-bot-test').terminate();
+
+			const [code] = await once(bot, 'exit');
+
+			assert.equal(code, 1);
+			assert.match(stderr, /still rejected the connection after logging in again/);
+		}
+		finally {
+			server.accounts['will-bot-test'] = 'secret';
+			bot.kill();
+		}
+	});
+});